@@ -0,0 +1,14 @@
+/* ============================
+   AUTH TOKENS
+============================ */
+// Short-lived JWT access tokens plus rotating refresh tokens stored as
+// sessions (see services/sessions.js).
+//   ACCESS_TOKEN_TTL     jsonwebtoken expiresIn, default 15m
+//   REFRESH_TOKEN_DAYS   session lifetime without use, default 30
+
+const env = process.env;
+
+module.exports = {
+  accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenDays: Number(env.REFRESH_TOKEN_DAYS) || 30
+};
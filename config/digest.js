@@ -0,0 +1,26 @@
+/* ============================
+   DAILY DIGEST
+============================ */
+// Morning summary emailed to admins, engineers (their city) and technicians
+// (their assigned tickets).
+//   DIGEST_ENABLED      false disables the scheduled run (manual trigger still works)
+//   DIGEST_TIME         HH:MM in IST, default 08:00
+//   DIGEST_STALE_DAYS   open longer than this counts as "long unresolved"
+//   DIGEST_MAX_ITEMS    tickets listed per section (totals are always exact)
+
+const env = process.env;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let time = env.DIGEST_TIME || '08:00';
+if (!TIME_PATTERN.test(time)) {
+  console.error(`Invalid DIGEST_TIME '${time}', using 08:00`);
+  time = '08:00';
+}
+
+module.exports = {
+  enabled: env.DIGEST_ENABLED !== 'false',
+  time,
+  staleDays: Number(env.DIGEST_STALE_DAYS) || 7,
+  maxItems: Number(env.DIGEST_MAX_ITEMS) || 25
+};
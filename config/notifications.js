@@ -0,0 +1,37 @@
+/* ============================
+   NOTIFICATION CHANNELS
+============================ */
+// Which adapter delivers each channel. "stub" logs to the console (and to
+// NOTIFICATION_STUB_FILE when set) instead of contacting a provider, which is
+// the default whenever a provider is not configured.
+//   EMAIL_PROVIDER     smtp | stub
+//   SMS_PROVIDER       fast2sms | twilio | stub
+//   WHATSAPP_PROVIDER  twilio | stub
+
+const env = process.env;
+
+module.exports = {
+  providers: {
+    email: env.EMAIL_PROVIDER || (env.SMTP_HOST && env.SMTP_USER ? 'smtp' : 'stub'),
+    sms: env.SMS_PROVIDER || (env.FAST2SMS_API_KEY ? 'fast2sms' : 'stub'),
+    whatsapp: env.WHATSAPP_PROVIDER || (env.TWILIO_WHATSAPP_FROM ? 'twilio' : 'stub')
+  },
+  email: {
+    from: env.SMTP_FROM || `"WattOrbit Support" <${env.SMTP_USER}>`,
+    // The inbound mailbox: replies are threaded onto the ticket
+    replyTo: env.EMAIL_REPLY_TO || 'support@wattorbit.in'
+  },
+  // Public web app; customer emails link here (feedback, preferences)
+  frontendUrl: env.FRONTEND_URL || 'https://wattorbit.in',
+  defaultCountryCode: env.DEFAULT_COUNTRY_CODE || '91',
+  adminSmsNumber: env.WHATSAPP_ADMIN_NUMBER,
+  stubFile: env.NOTIFICATION_STUB_FILE,
+  queue: {
+    maxAttempts: Number(env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    // Retry n waits retryBaseSeconds * 2^(n-1)
+    retryBaseSeconds: Number(env.NOTIFICATION_RETRY_BASE_SECONDS) || 30,
+    pollSeconds: Number(env.NOTIFICATION_POLL_SECONDS) || 10,
+    // A message stuck in "sending" this long (crashed worker) is retried
+    lockTimeoutSeconds: 300
+  }
+};
@@ -0,0 +1,11 @@
+/* ============================
+   ORGANISATIONS
+============================ */
+// Member invitations (see services/organisations.js).
+//   ORGANISATION_INVITE_DAYS   how long an invite link stays valid, default 7
+
+const env = process.env;
+
+module.exports = {
+  inviteDays: Number(env.ORGANISATION_INVITE_DAYS) || 7
+};
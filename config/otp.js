@@ -0,0 +1,22 @@
+/* ============================
+   ONE-TIME PASSWORDS
+============================ */
+// Phone / email verification for public tracking and (optionally) creation.
+// Codes go out through the notification service, so the stub provider shows
+// them in the console / NOTIFICATION_STUB_FILE during development.
+
+const env = process.env;
+
+module.exports = {
+  // What a verification token may be used for: tracking, filing, claiming
+  // guest tickets
+  purposes: ['track', 'create', 'claim'],
+  codeLength: 6,
+  ttlMinutes: Number(env.OTP_TTL_MINUTES) || 10,
+  maxAttempts: Number(env.OTP_MAX_ATTEMPTS) || 5,
+  // Minimum gap between two codes for the same phone / email
+  resendSeconds: Number(env.OTP_RESEND_SECONDS) || 60,
+  // Lifetime of the verification token handed out after a correct code
+  tokenMinutes: Number(env.OTP_TOKEN_MINUTES) || 30,
+  requiredForCreate: env.OTP_REQUIRED_FOR_CREATE === 'true'
+};
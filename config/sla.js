@@ -0,0 +1,37 @@
+/* ============================
+   SLA TARGETS
+============================ */
+// Resolution targets in hours. Lookup order for a complaint:
+//   issueTypes["<type>:<issueType>"] -> issueTypes["<issueType>"] -> types["<type>"] -> defaultHours
+// Override any part of this with a JSON string in SLA_CONFIG, e.g.
+//   SLA_CONFIG='{"issueTypes":{"Power Outage":4},"types":{"Service Request":96}}'
+
+const defaults = {
+  defaultHours: 48,
+  types: {
+    'Complaint': 48,
+    'Service Request': 72
+  },
+  issueTypes: {},
+  // Ticket is "at-risk" once less than this share of its window remains
+  atRiskRatio: 0.25,
+  // Escalate to admins this many hours after engineers were notified
+  adminEscalationHours: 24,
+  sweepIntervalMinutes: 5
+};
+
+let overrides = {};
+if (process.env.SLA_CONFIG) {
+  try {
+    overrides = JSON.parse(process.env.SLA_CONFIG);
+  } catch (err) {
+    console.error('Invalid SLA_CONFIG, using defaults:', err.message);
+  }
+}
+
+module.exports = {
+  ...defaults,
+  ...overrides,
+  types: { ...defaults.types, ...overrides.types },
+  issueTypes: { ...defaults.issueTypes, ...overrides.issueTypes }
+};
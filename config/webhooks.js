@@ -0,0 +1,17 @@
+/* ============================
+   OUTBOUND WEBHOOKS
+============================ */
+const env = process.env;
+
+module.exports = {
+  maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Retry n waits retryBaseSeconds * 2^(n-1)
+  retryBaseSeconds: Number(env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  pollSeconds: Number(env.WEBHOOK_POLL_SECONDS) || 15,
+  timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10000,
+  lockTimeoutSeconds: 300,
+  // Plain http:// endpoints are only accepted outside production
+  allowHttp: env.WEBHOOK_ALLOW_HTTP === 'true' || env.NODE_ENV !== 'production',
+  // Loopback / private / link-local destinations, for local receivers only
+  allowPrivateAddresses: env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true'
+};
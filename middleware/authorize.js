@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const verifyToken = require('./verifyToken');
+const { canAny, scoped } = require('../services/permissions');
+const { findAccessibleComplaint } = require('../services/complaintAccess');
+const { findManagedOrganisation } = require('../services/organisations');
+
+const requirePermission = (permissions) => (req, res, next) => {
+  if (!canAny(req.user, permissions)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+// Loads req.params.id into req.complaint when it lies inside the caller's
+// scope for the action: any complaint, the technician's assignments, the
+// organisation's members' or the caller's own.
+const loadComplaint = (action, projection) => async (req, res, next) => {
+  try {
+    const complaint = await findAccessibleComplaint(req.user, req.params.id, projection, action);
+    if (complaint === undefined) return res.status(403).json({ message: 'Access denied' });
+
+    if (!complaint) {
+      const exists = mongoose.Types.ObjectId.isValid(req.params.id) &&
+        (await Complaint.exists({ _id: req.params.id }));
+      return exists
+        ? res.status(403).json({ message: 'Not authorized for this complaint' })
+        : res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    req.complaint = complaint;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Loads req.params.id into req.organisation when the caller manages it
+const loadOrganisation = async (req, res, next) => {
+  try {
+    const organisation = await findManagedOrganisation(req.user, req.params.id);
+    if (organisation === undefined) {
+      return res.status(403).json({ message: 'Not authorized for this organisation' });
+    }
+    if (!organisation) return res.status(404).json({ message: 'Organisation not found' });
+
+    req.organisation = organisation;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/* ============================
+   MIDDLEWARE: AUTHORIZE
+============================ */
+// Verifies the token, then requires at least one of the given permissions:
+//   router.get('/', authorize('user:list'), handler)
+const authorize = (...permissions) => [verifyToken, requirePermission(permissions)];
+
+// Complaint routes (/:id/...): as authorize(), then loads the complaint into
+// req.complaint if the caller may act on it ('read' | 'update'). `permissions`
+// defaults to any scope of complaint:<action>.
+const authorizeComplaint = (action, { projection, permissions } = {}) => [
+  verifyToken,
+  requirePermission(permissions || scoped(`complaint:${action}`)),
+  loadComplaint(action, projection)
+];
+
+// Organisation routes (/:id/...): platform admins for any organisation,
+// organisation admins for their own; loads req.organisation.
+const authorizeOrganisation = () => [
+  verifyToken,
+  requirePermission(['organisation:manage:any', 'organisation:manage:own']),
+  loadOrganisation
+];
+
+module.exports = {
+  authorize,
+  authorizeComplaint,
+  authorizeOrganisation
+};
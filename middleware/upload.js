@@ -0,0 +1,43 @@
+const multer = require('multer');
+
+/* ============================
+   ATTACHMENT UPLOAD LIMITS
+============================ */
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES = Number(process.env.ATTACHMENT_MAX_FILES) || 5;
+const ALLOWED_MIME_TYPES = (
+  process.env.ATTACHMENT_MIME_TYPES || 'image/jpeg,image/png,image/webp,application/pdf'
+).split(',').map(type => type.trim());
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const err = new Error(`File type not allowed: ${file.mimetype}`);
+      err.code = 'UNSUPPORTED_MIME_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  }
+}).array('attachments', MAX_FILES);
+
+// Multipart field "attachments"; JSON requests pass straight through
+const uploadAttachments = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Each file must be under ${Math.round(MAX_BYTES / 1024 / 1024)} MB` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `Upload at most ${MAX_FILES} files in the "attachments" field` });
+    }
+    if (err.code === 'UNSUPPORTED_MIME_TYPE') {
+      return res.status(415).json({ message: err.message, allowedTypes: ALLOWED_MIME_TYPES });
+    }
+    return res.status(400).json({ message: err.message });
+  });
+};
+
+module.exports = { uploadAttachments, ALLOWED_MIME_TYPES, MAX_BYTES, MAX_FILES };
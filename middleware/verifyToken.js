@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+const { checkAccessToken } = require('../services/sessions');
+
+/* ============================
+   MIDDLEWARE: VERIFY TOKEN
+============================ */
+const verifyToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return res.status(401).json({ message: 'Authorization header missing' });
+  }
+
+  const token = authHeader.split(' ')[1];
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  // Logged out, suspended, password reset or role changed since the token was issued
+  try {
+    const rejected = await checkAccessToken(payload);
+    if (rejected) return res.status(rejected.status).json({ message: rejected.message });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+
+  req.user = payload;
+  next();
+};
+
+module.exports = verifyToken;
@@ -6,6 +6,8 @@ const CitySchema = new mongoose.Schema({
     supportContact: { type: String }, // Phone number for city-specific support
     technicianName: { type: String }, // Offline technician name
     technicianPhone: { type: String },
+    // Technician accounts serving this city (used for auto-assignment)
+    technicians: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     isOfflineSupportAvailable: { type: Boolean, default: true }
 });
 
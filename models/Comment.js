@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema(
+  {
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint',
+      required: true
+    },
+    author: {
+      username: String,
+      role: String
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000
+    },
+    // internal = staff only, customer = also shown to the complainant
+    visibility: {
+      type: String,
+      enum: ['internal', 'customer'],
+      default: 'internal'
+    },
+    // How the comment arrived: posted in the app or an inbound email reply
+    source: {
+      type: String,
+      enum: ['app', 'email'],
+      default: 'app'
+    }
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ complaint: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -1,5 +1,87 @@
-
 const mongoose = require('mongoose');
+const { STATUSES } = require('../services/complaintLifecycle');
+const notificationPreferencesSchema = require('./schemas/notificationPreferences');
+
+// One immutable entry per action taken on a complaint (audit trail)
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true
+    },
+    actor: {
+      username: String,
+      role: String
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }
+    ],
+    remark: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+// Stored file metadata; the bytes live in the storage backend under `key`
+const attachmentSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      username: String,
+      role: String
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+// A technician's time on site: check-in / check-out with where it happened
+const visitPointSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true
+    },
+    location: {
+      lat: Number,
+      lng: Number,
+      // Reported GPS accuracy in metres
+      accuracy: Number
+    },
+    note: String
+  },
+  { _id: false }
+);
+
+const visitSchema = new mongoose.Schema(
+  {
+    technician: {
+      type: String,
+      required: true
+    },
+    checkIn: {
+      type: visitPointSchema,
+      required: true
+    },
+    checkOut: visitPointSchema,
+    durationMinutes: Number
+  }
+);
 
 const complaintSchema = new mongoose.Schema(
   {
@@ -21,7 +103,13 @@ const complaintSchema = new mongoose.Schema(
       type: String,
       required: true
     },
-    email: String,
+    // Normalised so duplicate, tracking and claim lookups match however it was
+    // typed (older tickets: scripts/normaliseComplaintEmails.js)
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
     city: {
       type: String,
       required: true
@@ -32,17 +120,150 @@ const complaintSchema = new mongoose.Schema(
       required: true
     },
     description: String,
+    // Account that filed or claimed the ticket (customers see theirs by this)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Where the ticket was registered (web form or message intake)
+    source: {
+      type: String,
+      enum: ['web', 'sms', 'whatsapp'],
+      default: 'web'
+    },
+    // Customer's preferred language for notifications
+    language: {
+      type: String,
+      enum: ['en', 'hi'],
+      default: 'en'
+    },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({})
+    },
     status: {
       type: String,
-      enum: ['Pending', 'In Progress', 'Resolved', 'Scheduled'],
+      enum: STATUSES,
       default: 'Pending'
     },
     assignedTechnician: String,
     assignedTechnicianPhone: String,
+    assignment: {
+      mode: {
+        type: String,
+        enum: ['auto', 'manual']
+      },
+      reason: String,
+      assignedBy: String,
+      assignedAt: Date
+    },
     rescheduleReason: String,
-    remark: String
+    remark: String,
+    scheduledStart: Date,
+    scheduledEnd: Date,
+    // Every booking and reschedule, newest last
+    appointments: [
+      {
+        start: Date,
+        end: Date,
+        technician: String,
+        reason: String,
+        bookedBy: {
+          username: String,
+          role: String
+        },
+        bookedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    attachments: [attachmentSchema],
+    // Technician site visits, oldest first (see services/visits.js)
+    visits: [visitSchema],
+    // Duplicate handling (see services/duplicates.js)
+    possibleDuplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    mergedFrom: [String],
+    // Capability token for public (non-logged-in) follow-up actions
+    trackingToken: {
+      type: String,
+      select: false
+    },
+    resolvedAt: Date,
+    feedback: {
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5
+      },
+      comment: String,
+      submittedAt: Date
+    },
+    dueAt: Date,
+    sla: {
+      targetHours: Number,
+      escalationLevel: {
+        type: Number,
+        default: 0
+      },
+      breachedAt: Date,
+      escalatedAt: Date
+    },
+    history: [historyEntrySchema]
   },
   { timestamps: true }
 );
 
+/* =====================
+   INDEXES
+===================== */
+// List filters (GET /api/complaints), newest first
+complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ status: 1, createdAt: -1 });
+complaintSchema.index({ type: 1, createdAt: -1 });
+complaintSchema.index({ city: 1, createdAt: -1 });
+complaintSchema.index({ issueType: 1, createdAt: -1 });
+complaintSchema.index({ assignedTechnician: 1, createdAt: -1 });
+// Customer / organisation scoping
+complaintSchema.index({ userId: 1, createdAt: -1 });
+// Public tracking and claims by contact details
+complaintSchema.index({ phone: 1 });
+complaintSchema.index({ email: 1 });
+// Urgency sort & SLA sweep
+complaintSchema.index({ dueAt: 1 });
+// Technician agenda & double-booking checks
+complaintSchema.index({ assignedTechnician: 1, scheduledStart: 1 });
+// Open visits and visit duration reports
+complaintSchema.index({ 'visits.technician': 1, 'visits.checkIn.at': -1 });
+
+/* =====================
+   HISTORY IS APPEND-ONLY
+===================== */
+// Query updates may only $push new entries; anything that would rewrite
+// or remove existing entries is rejected.
+complaintSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate() || {};
+  const touchesHistory = Object.keys(update).some(key => {
+    if (key === '$push') return false;
+    if (key === 'history' || key.startsWith('history.')) return true;
+    if (key.startsWith('$') && update[key] && typeof update[key] === 'object') {
+      return Object.keys(update[key]).some(
+        field => field === 'history' || field.startsWith('history.')
+      );
+    }
+    return false;
+  });
+
+  if (touchesHistory) {
+    throw new Error('Complaint history is append-only');
+  }
+});
+
 module.exports = mongoose.model('Complaint', complaintSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Guided SMS / WhatsApp complaint registration; one open conversation per
+// sender and channel. Stored so a restart mid-conversation loses nothing.
+const conversationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp'],
+      required: true
+    },
+    // Sender in E.164
+    from: {
+      type: String,
+      required: true
+    },
+    step: {
+      type: String,
+      enum: ['name', 'city', 'issueType', 'description'],
+      required: true
+    },
+    language: {
+      type: String,
+      enum: ['en', 'hi'],
+      default: 'en'
+    },
+    data: {
+      customerName: String,
+      city: String,
+      issueType: String
+    },
+    // Abandoned conversations are removed by the TTL index
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ channel: 1, from: 1 }, { unique: true });
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
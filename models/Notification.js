@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Outbound message queue; delivered by services/notifications/worker.js
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp'],
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    subject: String,
+    html: String,
+    text: String,
+    replyTo: String,
+    event: String,
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    status: {
+      type: String,
+      // suppressed = not sent because of the recipient's preferences (kept as consent record)
+      enum: ['queued', 'sending', 'sent', 'dead', 'suppressed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    provider: String,
+    providerMessageId: String,
+    sentAt: Date,
+    attemptLog: [
+      {
+        _id: false,
+        at: Date,
+        provider: String,
+        error: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ complaint: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A customer organisation (housing society, company, ...). Its admins are
+// users with role 'organisation'; members are users with role 'user'. Both
+// point User.organisationId here.
+const organisationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    contactEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    contactPhone: {
+      type: String,
+      trim: true
+    },
+    city: String,
+    address: String,
+    // Set by platform admins; inactive organisations cannot invite or file
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Organisation', organisationSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Invitation to join an organisation, sent by SMS or email. Like refresh
+// tokens, only the SHA-256 of the invite token is stored.
+const organisationInviteSchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organisation',
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'email'],
+      required: true
+    },
+    // E.164 phone or lower-cased email
+    target: {
+      type: String,
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    invitedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      username: String
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: Date
+  },
+  { timestamps: true }
+);
+
+organisationInviteSchema.index({ organisation: 1, createdAt: -1 });
+organisationInviteSchema.index({ organisation: 1, target: 1 });
+
+module.exports = mongoose.model('OrganisationInvite', organisationInviteSchema);
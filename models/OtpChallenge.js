@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { purposes } = require('../config/otp');
+
+// One code sent to a phone / email; removed by the TTL index once expired
+const otpChallengeSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['sms', 'email'],
+      required: true
+    },
+    // E.164 phone or lowercased email
+    target: {
+      type: String,
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: purposes,
+      required: true
+    },
+    codeHash: {
+      type: String,
+      required: true
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    verifiedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+otpChallengeSchema.index({ target: 1, createdAt: -1 });
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpChallenge', otpChallengeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. The refresh token itself is never stored, only its
+// SHA-256; each refresh rotates it and keeps the old hashes to detect reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // User.tokenVersion at login; a mismatch means the session was invalidated
+    tokenVersion: {
+      type: Number,
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    previousTokenHashes: {
+      type: [String],
+      select: false
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    revokedReason: String
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by the TTL index
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const notificationPreferencesSchema = require('./schemas/notificationPreferences');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -29,18 +30,41 @@ const userSchema = new mongoose.Schema({
     },
     organisationId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
+        ref: 'Organisation'
     },
     city: String,
     address: String,
     phone: String,
+    language: {
+        type: String,
+        enum: ['en', 'hi'],
+        default: 'en'
+    },
+    notificationPreferences: {
+        type: notificationPreferencesSchema,
+        default: () => ({})
+    },
     isApproved: {
         type: Boolean,
         default: false
     },
+    // Account moderation by admins; rejected / suspended users cannot log in
+    rejectedAt: Date,
+    rejectionReason: String,
+    suspendedAt: Date,
+    suspensionReason: String,
+    // Bumped on password reset / role change; tokens and sessions carrying an
+    // older version are rejected
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
     resetPasswordToken: String,
     resetPasswordExpires: Date
-});
+}, { timestamps: true });
+
+// Organisation scoping and member lists
+userSchema.index({ organisationId: 1 });
 
 /* =====================
    PASSWORD HASHING
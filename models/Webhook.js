@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Outbound webhook subscription owned by an admin or organisation account
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      username: String,
+      role: String
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    events: {
+      type: [String],
+      required: true
+    },
+    // HMAC-SHA256 key for the X-WattOrbit-Signature header; shown only on create / rotate
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+webhookSchema.index({ 'owner.user': 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One event for one webhook; delivered by services/webhooks/worker.js
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'delivered', 'dead'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 8
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    responseStatus: Number,
+    deliveredAt: Date,
+    attemptLog: [
+      {
+        _id: false,
+        at: Date,
+        responseStatus: Number,
+        durationMs: Number,
+        error: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
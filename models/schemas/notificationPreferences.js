@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Embedded in Complaint (per customer) and User (per account).
+// Transactional categories default on; promotional needs explicit opt-in.
+const notificationPreferencesSchema = new mongoose.Schema(
+  {
+    channels: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: false },
+      whatsapp: { type: Boolean, default: false }
+    },
+    events: {
+      statusUpdates: { type: Boolean, default: true },
+      appointments: { type: Boolean, default: true },
+      comments: { type: Boolean, default: true },
+      promotional: { type: Boolean, default: false }
+    },
+    updatedAt: Date
+  },
+  { _id: false }
+);
+
+module.exports = notificationPreferencesSchema;
@@ -1,22 +0,0 @@
-const nodemailer = require("nodemailer");
-
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: false, // must be false for 587
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
-
-// Verify SMTP connection
-transporter.verify((error, success) => {
-  if (error) {
-    console.error("❌ SMTP VERIFY FAILED:", error.message);
-  } else {
-    console.log("✅ Mailjet SMTP READY");
-  }
-});
-
-module.exports = transporter;
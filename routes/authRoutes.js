@@ -1,11 +1,36 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const rateLimit = require('express-rate-limit');
-const axios = require('axios');
 const User = require('../models/User');
+const Organisation = require('../models/Organisation');
+const verifyToken = require('../middleware/verifyToken');
+const { authorize } = require('../middleware/authorize');
+const { notifyUser } = require('../services/notifications');
+const { isPaged, parsePagination } = require('../services/complaintQuery');
+const {
+  userListFields,
+  accountStatus,
+  notifyAccountStatus,
+  buildUserFilter,
+  parseUserSort,
+  profileView,
+  validateProfileUpdate,
+  findModeratedUser,
+  deleteUser
+} = require('../services/users');
+const authConfig = require('../config/auth');
+const {
+  sessionIdOf,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  revokeByRefreshToken,
+  invalidateUserSessions,
+  listActiveSessions
+} = require('../services/sessions');
 
 /* =========================
    ENV CHECK
@@ -13,7 +38,6 @@ const User = require('../models/User');
 if (!process.env.JWT_SECRET) {
   throw new Error('JWT_SECRET not defined');
 }
-const JWT_SECRET = process.env.JWT_SECRET;
 
 /* =========================
    RATE LIMITER
@@ -24,25 +48,6 @@ const authLimiter = rateLimit({
   message: { message: 'Too many attempts. Try again later.' }
 });
 
-/* =========================
-   JWT VERIFY MIDDLEWARE
-========================= */
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization header missing or invalid' });
-  }
-
-  const token = authHeader.split(' ')[1];
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch (err) {
-    console.error("JWT Verification Error:", err.message);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-};
-
 /* =========================
    REGISTER USER
 ========================= */
@@ -113,6 +118,12 @@ router.post('/login', authLimiter, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    if (user.suspendedAt) {
+      return res.status(403).json({ message: 'Account suspended' });
+    }
+    if (user.rejectedAt) {
+      return res.status(403).json({ message: 'Registration was not approved' });
+    }
     if (!user.isApproved && user.role !== 'admin') {
       return res.status(403).json({ message: 'Account pending admin approval' });
     }
@@ -122,14 +133,12 @@ router.post('/login', authLimiter, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: user._id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.json({
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn: authConfig.accessTokenTtl,
       user: {
         id: user._id,
         username: user.username,
@@ -143,26 +152,145 @@ router.post('/login', authLimiter, async (req, res) => {
 });
 
 /* =========================
-   GET USERS (ADMIN & ENGINEER)
+   REFRESH ACCESS TOKEN
 ========================= */
-router.get('/users', verifyToken, async (req, res) => {
-  // Allow Admin AND Engineer to fetch users (Engineers need to find Technicians)
-  if (req.user.role !== 'admin' && req.user.role !== 'engineer') {
-    return res.status(403).json({ message: 'Access denied' });
+// Body: { refreshToken }. The refresh token is single-use: the response
+// carries its replacement.
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const result = await rotateSession(req.body?.refreshToken, req);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: authConfig.accessTokenTtl
+    });
+  } catch {
+    res.status(500).json({ message: 'Token refresh failed' });
   }
+});
 
+/* =========================
+   LOGOUT
+========================= */
+// Ends the session of the given refresh token (or of the Bearer token)
+router.post('/logout', async (req, res) => {
   try {
-    const users = await User.find(
-      {},
-      {
-        username: 1,
-        role: 1,
-        isApproved: 1,
-        createdAt: 1
-      }
-    ).sort({ createdAt: -1 });
+    if (sessionIdOf(req.body?.refreshToken)) {
+      await revokeByRefreshToken(req.body.refreshToken, 'logout');
+      return res.json({ message: 'Logged out' });
+    }
 
-    res.json(users);
+    // An expired access token is still good enough to end its own session
+    const authHeader = req.headers.authorization;
+    let payload = null;
+    try {
+      payload = authHeader?.startsWith('Bearer ')
+        ? jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { ignoreExpiration: true })
+        : null;
+    } catch {
+      payload = null;
+    }
+    if (!payload?.sid) {
+      return res.status(400).json({ message: 'Refresh token or access token required' });
+    }
+
+    await revokeSessions({ _id: payload.sid }, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch {
+    res.status(500).json({ message: 'Logout failed' });
+  }
+});
+
+// Every device of the caller, including outstanding access tokens
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    await invalidateUserSessions(req.user.id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions' });
+  } catch {
+    res.status(500).json({ message: 'Logout failed' });
+  }
+});
+
+/* =========================
+   OWN PROFILE
+========================= */
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(await profileView(user));
+  } catch {
+    res.status(500).json({ message: 'Failed to fetch profile' });
+  }
+});
+
+// Body: any of name, email, phone, city, address, language
+router.patch('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const result = await validateProfileUpdate(user, req.body);
+    if (result.status) {
+      const { status: httpStatus, ...error } = result;
+      return res.status(httpStatus).json(error);
+    }
+
+    user.set(result.updates);
+    await user.save();
+    res.json(await profileView(user));
+  } catch {
+    res.status(400).json({ message: 'Profile update failed' });
+  }
+});
+
+/* =========================
+   GET USERS (ADMIN & ENGINEER)
+========================= */
+// Engineers need the list to find technicians.
+// Filters: role, status (pending|active|rejected|suspended), city,
+// organisationId (comma-separated), search (username / name / email / phone)
+// Email / phone (listing and searching them) need user:contact (admins only).
+// Paging: page, limit (max 100) -> { data, pagination }; without them, the
+// plain array of every match. Sort: newest | oldest | username | name
+router.get('/users', authorize('user:list'), async (req, res) => {
+  try {
+    const { filter, error } = buildUserFilter(req.query, req.user);
+    if (error) return res.status(400).json({ message: error });
+
+    const withStatus = (user) => ({ ...user.toJSON(), status: accountStatus(user) });
+
+    if (!isPaged(req.query)) {
+      const users = await User.find(filter)
+        .select(userListFields(req.user))
+        .sort(parseUserSort(req.query.sort));
+      return res.json(users.map(withStatus));
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(userListFields(req.user))
+        .sort(parseUserSort(req.query.sort))
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: users.map(withStatus),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch users' });
   }
@@ -172,15 +300,11 @@ router.get('/users', verifyToken, async (req, res) => {
 /* =========================
    APPROVE USER (ADMIN)
 ========================= */
-router.patch('/approve/:id', verifyToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-
+router.patch('/approve/:id', authorize('user:approve'), async (req, res) => {
   try {
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { isApproved: true },
+      { isApproved: true, $unset: { rejectedAt: 1, rejectionReason: 1 } },
       { new: true }
     ).select('-password');
 
@@ -190,6 +314,96 @@ router.patch('/approve/:id', verifyToken, async (req, res) => {
   }
 });
 
+/* =========================
+   REJECT / SUSPEND / REACTIVATE / DELETE (ADMIN)
+========================= */
+// Each takes { reason } (optional for reactivate) and emails the user
+// Pending registrations only
+router.patch('/users/:id/reject', authorize('user:reject'), async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(422).json({ message: 'A reason is required', missingFields: ['reason'] });
+    }
+    const found = await findModeratedUser(req.user, req.params.id);
+    if (found.status) return res.status(found.status).json({ message: found.message });
+    const { user } = found;
+    if (accountStatus(user) !== 'pending') {
+      return res.status(409).json({ message: 'Only pending registrations can be rejected' });
+    }
+
+    user.rejectedAt = new Date();
+    user.rejectionReason = reason;
+    await user.save();
+    notifyAccountStatus(user, 'rejected', reason);
+
+    res.json({ message: 'Registration rejected', status: accountStatus(user) });
+  } catch {
+    res.status(500).json({ message: 'Rejection failed' });
+  }
+});
+
+router.patch('/users/:id/suspend', authorize('user:suspend'), async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(422).json({ message: 'A reason is required', missingFields: ['reason'] });
+    }
+    const found = await findModeratedUser(req.user, req.params.id);
+    if (found.status) return res.status(found.status).json({ message: found.message });
+    const { user } = found;
+    if (user.suspendedAt) return res.status(409).json({ message: 'User is already suspended' });
+
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    await user.save();
+    await invalidateUserSessions(user._id, 'suspended');
+    notifyAccountStatus(user, 'suspended', reason);
+
+    res.json({ message: 'User suspended', status: accountStatus(user) });
+  } catch {
+    res.status(500).json({ message: 'Suspension failed' });
+  }
+});
+
+router.patch('/users/:id/reactivate', authorize('user:suspend'), async (req, res) => {
+  try {
+    const found = await findModeratedUser(req.user, req.params.id);
+    if (found.status) return res.status(found.status).json({ message: found.message });
+    const { user } = found;
+    if (!user.suspendedAt) return res.status(409).json({ message: 'User is not suspended' });
+
+    const reason = req.body?.reason?.trim();
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    await user.save();
+    notifyAccountStatus(user, 'reactivated', reason);
+
+    res.json({ message: 'User reactivated', status: accountStatus(user) });
+  } catch {
+    res.status(500).json({ message: 'Reactivation failed' });
+  }
+});
+
+// Complaints the user filed are kept (unowned); sessions, city links and
+// webhooks go with the account
+router.delete('/users/:id', authorize('user:delete'), async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || req.query.reason || '').trim();
+    if (!reason) {
+      return res.status(422).json({ message: 'A reason is required', missingFields: ['reason'] });
+    }
+    const found = await findModeratedUser(req.user, req.params.id);
+    if (found.status) return res.status(found.status).json({ message: found.message });
+    const { user } = found;
+
+    await deleteUser(user, reason);
+    res.json({ message: 'User deleted' });
+  } catch {
+    res.status(500).json({ message: 'Delete failed' });
+  }
+});
+
 /* =========================
    FORGOT PASSWORD
 ========================= */
@@ -210,29 +424,7 @@ router.post('/forgot-password', authLimiter, async (req, res) => {
     await user.save();
 
     /* EMAIL (NON-BLOCKING) */
-    if (user.email && process.env.SMTP_HOST) {
-      try {
-        const transporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST,
-          port: Number(process.env.SMTP_PORT),
-          secure: Number(process.env.SMTP_PORT) === 465, // Auto-detect secure based on port
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS
-          },
-          tls: { rejectUnauthorized: false }
-        });
-
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || process.env.SMTP_USER,
-          to: user.email,
-          subject: 'WattOrbit Password Reset',
-          text: `Reset Token: ${resetToken} (valid 1 hour)`
-        });
-      } catch (e) {
-        console.error('SMTP failed:', e.message);
-      }
-    }
+    notifyUser(user, 'passwordReset', { user, resetToken }, { event: 'auth.password_reset' });
 
     res.json({ message: 'Password reset instructions sent.' });
 
@@ -266,6 +458,7 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     await user.save();
+    await invalidateUserSessions(user._id, 'password_reset');
 
     res.json({ message: 'Password reset successful' });
 
@@ -277,11 +470,7 @@ router.post('/reset-password', async (req, res) => {
 /* =========================
    ADMIN RESET PASSWORD
 ========================= */
-router.patch('/admin-reset-password/:id', verifyToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin privileges required' });
-  }
-
+router.patch('/admin-reset-password/:id', authorize('user:password:reset'), async (req, res) => {
   if (!req.body.newPassword) {
     return res.status(400).json({ message: 'New password required' });
   }
@@ -292,6 +481,7 @@ router.patch('/admin-reset-password/:id', verifyToken, async (req, res) => {
 
     user.password = req.body.newPassword;
     await user.save();
+    await invalidateUserSessions(user._id, 'admin_password_reset');
 
     res.json({ message: 'Password reset by admin successful' });
   } catch {
@@ -301,11 +491,7 @@ router.patch('/admin-reset-password/:id', verifyToken, async (req, res) => {
 /* =========================
    SET USER ROLE (ADMIN ONLY)
 ========================= */
-router.patch('/set-role/:id', verifyToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-
+router.patch('/set-role/:id', authorize('user:role'), async (req, res) => {
   const { role, organisationId } = req.body;
 
   const allowedRoles = ['user', 'engineer', 'technician', 'organisation'];
@@ -313,14 +499,32 @@ router.patch('/set-role/:id', verifyToken, async (req, res) => {
   if (!allowedRoles.includes(role)) {
     return res.status(400).json({ message: 'Invalid role' });
   }
+  // Organisation admins manage one organisation (see /api/organisations)
+  if (role === 'organisation' && !organisationId) {
+    return res.status(400).json({ message: 'organisationId is required for the organisation role' });
+  }
 
   try {
+    if (organisationId) {
+      const exists = mongoose.Types.ObjectId.isValid(organisationId) &&
+        (await Organisation.exists({ _id: organisationId }));
+      if (!exists) return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    const previous = await User.findById(req.params.id).select('role');
+    if (!previous) return res.status(404).json({ message: 'User not found' });
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { role, organisationId: organisationId || undefined },
       { new: true }
     ).select('-password');
 
+    // Tokens carry the role, so the old ones must stop working
+    if (previous.role !== role) {
+      await invalidateUserSessions(user._id, 'role_changed');
+    }
+
     res.json({
       message: 'Role updated successfully',
       user
@@ -330,4 +534,48 @@ router.patch('/set-role/:id', verifyToken, async (req, res) => {
   }
 });
 
+/* =========================
+   USER SESSIONS (ADMIN ONLY)
+========================= */
+router.get('/users/:id/sessions', authorize('user:sessions'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  try {
+    const sessions = await listActiveSessions(req.params.id);
+    res.json(sessions);
+  } catch {
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+router.delete('/users/:id/sessions/:sessionId', authorize('user:sessions'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  try {
+    const result = await revokeSessions({ _id: req.params.sessionId, user: req.params.id }, 'admin_revoked');
+    if (result.modifiedCount === 0) return res.status(404).json({ message: 'Session not found' });
+    res.json({ message: 'Session revoked' });
+  } catch {
+    res.status(500).json({ message: 'Failed to revoke session' });
+  }
+});
+
+// Revokes every session and invalidates outstanding access tokens
+router.delete('/users/:id/sessions', authorize('user:sessions'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  try {
+    await invalidateUserSessions(req.params.id, 'admin_revoked');
+    res.json({ message: 'All sessions revoked' });
+  } catch {
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+});
+
 module.exports = router;
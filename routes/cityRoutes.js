@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const City = require('../models/City');
+const User = require('../models/User');
+const { authorize } = require('../middleware/authorize');
+const { findCityByName, getWorkloads } = require('../services/assignment');
 
 // GET all cities (LIGHTWEIGHT & FAST)
 router.get('/', async (req, res) => {
@@ -60,4 +63,60 @@ router.post('/', async (req, res) => {
     }
 });
 
+// GET technicians serving a city, with their open workload
+router.get('/:name/technicians', authorize('city:technicians:read'), async (req, res) => {
+    try {
+        const city = await findCityByName(req.params.name)
+            .populate('technicians', 'username name phone isApproved');
+        if (!city) return res.status(404).json({ message: 'City not found' });
+
+        const workloads = await getWorkloads(city.technicians.map(t => t.username));
+        res.json({
+            city: city.name,
+            technicians: city.technicians.map(t => ({
+                ...t.toObject(),
+                openComplaints: workloads[t.username]
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// PUT replace the technician list of a city (admin only)
+// Body: { technicians: ['username1', 'username2'] }
+router.put('/:name/technicians', authorize('city:technicians:write'), async (req, res) => {
+    const usernames = req.body.technicians;
+    if (!Array.isArray(usernames)) {
+        return res.status(400).json({ message: 'technicians must be an array of usernames' });
+    }
+
+    try {
+        const city = await findCityByName(req.params.name);
+        if (!city) return res.status(404).json({ message: 'City not found' });
+
+        const normalised = usernames.map(u => String(u).toLowerCase().trim());
+        const technicians = await User.find({
+            username: { $in: normalised },
+            role: 'technician',
+            isApproved: true
+        }).select('username');
+
+        const found = technicians.map(t => t.username);
+        const unknown = normalised.filter(u => !found.includes(u));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                message: `Not approved technicians: ${unknown.join(', ')}`
+            });
+        }
+
+        city.technicians = technicians.map(t => t._id);
+        await city.save();
+
+        res.json({ city: city.name, technicians: found });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
 module.exports = router;
@@ -1,162 +1,242 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
-const jwt = require('jsonwebtoken');
 
 const Complaint = require('../models/Complaint');
-const Counter = require('../models/Counter');
 const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { authorize, authorizeComplaint } = require('../middleware/authorize');
+const { can, scoped } = require('../services/permissions');
+const { uploadAttachments } = require('../middleware/upload');
+const storage = require('../services/storage');
+const { storeUploads, removeStored } = require('../services/attachments');
+const {
+  buildComplaintScope,
+  readBearerUser,
+  resolveCustomerActor,
+  provesComplaintContact
+} = require('../services/complaintAccess');
+const { diffChanges, buildHistoryEntry } = require('../services/complaintHistory');
+const { notifyCustomer } = require('../services/notifications');
+const notificationConfig = require('../config/notifications');
+const { sanitisePreferences } = require('../services/notifications/preferences');
+const { getSlaState } = require('../services/slaService');
+const { validateUpdate, validateTransition, isOpenStatus } = require('../services/complaintLifecycle');
+const { buildListFilter, isPaged, parsePagination, findComplaintList } = require('../services/complaintQuery');
+const {
+  parseSlot,
+  findConflicts,
+  agendaWindow,
+  getAgenda
+} = require('../services/scheduling');
+const { assignTechnician, autoAssign, pickTechnician } = require('../services/assignment');
+const {
+  summarise,
+  findOpenDuplicate,
+  linkSubmission,
+  mergeComplaints
+} = require('../services/duplicates');
+const {
+  REOPEN_WINDOW_DAYS,
+  isWithinReopenWindow,
+  reopenComplaint
+} = require('../services/complaintReopen');
+const { emitComplaintEvent } = require('../services/webhooks');
+const { newTrackingToken, createComplaint } = require('../services/complaintIntake');
+const {
+  getVerificationToken,
+  readVerificationToken,
+  matchesContact
+} = require('../services/otp');
+const { findTrackedComplaints, toTrackView } = require('../services/complaintTracking');
+const { findClaimable, claimComplaints } = require('../services/complaintClaim');
+const {
+  parseLocation,
+  findOpenVisit,
+  findOpenVisitElsewhere,
+  checkIn,
+  checkOut,
+  summariseVisits,
+  visitReport
+} = require('../services/visits');
+const otpConfig = require('../config/otp');
+
+const feedbackLink = (complaint) =>
+  `${notificationConfig.frontendUrl}/feedback/${complaint.complaintId}?token=${complaint.trackingToken}`;
+
+// Customer-facing links carry the ticket number; staff tools use the ObjectId
+const findByIdOrTicket = (id) =>
+  Complaint.findOne(
+    mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { complaintId: id }
+  ).select('+trackingToken');
 
 /* ============================
-   MIDDLEWARE: VERIFY TOKEN
+   GET: Fetch Complaints (Role-Based)
 ============================ */
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ message: 'Authorization header missing' });
+// Filters: status, type, city, issueType, assignedTechnician (comma-separated),
+// from/to (createdAt), search (name / ticket ID / description)
+// Paging: page, limit (max 100) -> { data, pagination }; without them, the
+// plain array of every match. Sort: newest | oldest | updated | urgency
+router.get('/', authorize(...scoped('complaint:read')), async (req, res) => {
+  try {
+    const query = await buildComplaintScope(req.user, 'read');
+    if (!query) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { filter, error } = buildListFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    // Role scope always applies on top of the caller's filters
+    const combined = { $and: [query, filter] };
+    const withSla = (c) => ({ ...c.toJSON(), slaState: getSlaState(c) });
+
+    if (!isPaged(req.query)) {
+      const complaints = await findComplaintList(combined, req.query.sort);
+      return res.json(complaints.map(withSla));
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [complaints, total] = await Promise.all([
+      findComplaintList(combined, req.query.sort, { skip, limit }),
+      Complaint.countDocuments(combined)
+    ]);
+
+    res.json({
+      data: complaints.map(withSla),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (err) {
+    console.error('Fetch error:', err);
+    res.status(500).json({ message: err.message });
   }
+});
+
+/* ============================
+   GET: Track (Public/Robust)
+============================ */
+// ?query=<ticket ID | phone | email>
+// Phone / email lookups need an OTP verification token (purpose 'track') for
+// that phone / email; the query may then be omitted. A ticket ID alone only
+// returns the status summary unless the caller proves ownership (verification
+// token, the ticket's ?token= or the owner's Bearer token).
+router.get('/track', async (req, res) => {
+  if (req.query.query !== undefined && typeof req.query.query !== 'string') {
+    return res.status(400).json({ message: 'query must be given once' });
+  }
+  const query = req.query.query?.trim();
+  const verification = readVerificationToken(getVerificationToken(req), 'track');
+  if (!query && !verification) return res.status(400).json({ message: 'Query required' });
 
-  const token = authHeader.split(' ')[1];
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+    const result = await findTrackedComplaints(query, verification);
+    if (result.status) {
+      const { status, ...error } = result;
+      return res.status(status).json(error);
+    }
+
+    const views = [];
+    for (const complaint of result.complaints) {
+      views.push(toTrackView(complaint, Boolean(await resolveCustomerActor(req, complaint))));
+    }
+    res.json(views);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-};
+});
 
 /* ============================
-   SMTP TRANSPORTER
+   CLAIM: Link Guest Complaints
 ============================ */
-// 465 = SSL (secure: true), 587/25 = STARTTLS (secure: false)
-const isSecure = process.env.SMTP_PORT == 465;
-
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: isSecure,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
+// Registered users attach tickets they filed without logging in. Both routes
+// need an OTP verification token (purpose 'claim') for the ticket's phone / email.
+router.get('/claimable', authorize('complaint:own'), async (req, res) => {
+  const verification = readVerificationToken(getVerificationToken(req), 'claim');
+  if (!verification) {
+    return res.status(401).json({ message: 'Verify your phone number or email with an OTP first', otpRequired: true });
   }
-});
 
-// Verify connection configuration
-transporter.verify((err, success) => {
-  if (err) {
-    console.error('SMTP VERIFY FAILED:', err.message);
-  } else {
-    console.log(`SMTP SERVER READY (Secure: ${isSecure})`);
+  try {
+    res.json(await findClaimable(verification));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
 });
 
-const sendEmail = async (to, subject, html) => {
-  if (!to || !process.env.SMTP_USER) return;
+// Body: { complaintIds?: ['WCR-2025-1001', ...] } (default: every claimable ticket)
+router.post('/claim', authorize('complaint:own'), async (req, res) => {
+  const verification = readVerificationToken(getVerificationToken(req), 'claim');
+  if (!verification) {
+    return res.status(401).json({ message: 'Verify your phone number or email with an OTP first', otpRequired: true });
+  }
+
   try {
-    await transporter.sendMail({
-      from: `"WattOrbit Support" <${process.env.SMTP_USER}>`,
-      replyTo: "no-reply@wattorbit.in",
-      to,
-      subject,
-      html
-    });
-    console.log(`Email sent to ${to}: ${subject}`);
+    const claimed = await claimComplaints(req.user, verification, req.body?.complaintIds);
+    if (claimed.length === 0) {
+      return res.status(404).json({ message: 'No unclaimed tickets found for the verified contact' });
+    }
+    res.json({ claimed });
   } catch (err) {
-    console.error('Email send failed:', err.message);
+    console.error('Claim error:', err);
+    res.status(500).json({ message: err.message });
   }
-};
+});
 
 /* ============================
-   GET: Fetch Complaints (Role-Based)
+   GET: Technician Agenda
 ============================ */
-router.get('/', verifyToken, async (req, res) => {
+// ?date=YYYY-MM-DD (IST, default today) &range=day|week
+router.get('/agenda/:technician', authorize('agenda:read:any', 'agenda:read:own'), async (req, res) => {
   try {
-    const { role, username, email, phone, organisationId } = req.user;
-    let query = {};
-
-    switch (role) {
-      case 'admin':
-      case 'engineer':
-        // Admin and Engineer see all
-        query = {};
-        break;
-
-      case 'technician':
-        // Technician sees ONLY assigned to them
-        query = { assignedTechnician: username };
-        break;
-
-      case 'organisation':
-        // Organisation sees ONLY their users' data
-        if (organisationId) {
-          const orgUsers = await User.find({ organisationId }).select('phone email');
-          const phones = orgUsers.map(u => u.phone).filter(Boolean);
-          const emails = orgUsers.map(u => u.email).filter(Boolean);
-          query = {
-            $or: [
-              { phone: { $in: phones } },
-              { email: { $in: emails } }
-            ]
-          };
-        } else {
-          query = { $or: [{ phone }, { email }] };
-        }
-        break;
-
-      case 'user':
-        // User sees ONLY own complaints
-        query = {
-          $or: [
-            { phone: phone || "no-phone-match" },
-            { email: email || "no-email-match" }
-          ]
-        };
-        break;
+    const { technician } = req.params;
 
-      default:
-        return res.status(403).json({ message: 'Unknown role' });
+    if (!can(req.user, 'agenda:read:any') && technician !== req.user.username) {
+      return res.status(403).json({ message: 'Technicians can only view their own agenda' });
     }
 
-    const complaints = await Complaint.find(query).sort({ createdAt: -1 });
-    res.json(complaints);
+    const window = agendaWindow(req.query.date, req.query.range);
+    if (!window) return res.status(400).json({ message: 'Invalid date, expected YYYY-MM-DD' });
 
+    const appointments = await getAgenda(technician, window);
+    res.json({ technician, from: window.from, to: window.to, appointments });
   } catch (err) {
-    console.error('Fetch error:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
 /* ============================
-   GET: Track (Public/Robust)
+   GET: Visit Duration Report
 ============================ */
-router.get('/track', async (req, res) => {
-  const { query } = req.query;
-  if (!query) return res.status(400).json({ message: 'Query required' });
-
+// ?technician=&from=YYYY-MM-DD&to=YYYY-MM-DD (IST, default last 30 days)
+router.get('/visits/report', authorize('visit:report'), async (req, res) => {
   try {
-    // Search by Ticket ID
-    let complaints = await Complaint.find({ complaintId: query });
-
-    // Search by Phone
-    if (complaints.length === 0) {
-      complaints = await Complaint.find({ phone: query });
-    }
+    const report = await visitReport(req.query);
+    if (!report) return res.status(400).json({ message: 'Invalid date, expected YYYY-MM-DD' });
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // Search by ObjectId (optional robustness)
-    if (complaints.length === 0 && mongoose.Types.ObjectId.isValid(query)) {
-      complaints = await Complaint.find({ _id: query });
-    }
+/* ============================
+   GET: Complaint History (Audit Timeline)
+============================ */
+router.get('/:id/history', authorizeComplaint('read', { projection: 'complaintId status history' }), async (req, res) => {
+  try {
+    const { complaint } = req;
 
-    // Sensitivity filter: Hide technician phone from public track if exists
-    const safeComplaints = complaints.map(c => {
-      const obj = c.toObject();
-      delete obj.assignedTechnicianPhone;
-      return obj;
+    res.json({
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      history: complaint.history
     });
-
-    res.json(safeComplaints);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -166,21 +246,10 @@ router.get('/track', async (req, res) => {
    WHATSAPP: Privacy Preserving
 ============================ */
 // 1. Employee -> User
-router.get('/:id/whatsapp/user', verifyToken, async (req, res) => {
+// Staff only; technicians only for their assignments
+router.get('/:id/whatsapp/user', authorizeComplaint('read', { permissions: ['complaint:contact:customer'] }), async (req, res) => {
   try {
-    const { role, username } = req.user;
-    const complaint = await Complaint.findById(req.params.id);
-
-    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
-
-    // Security Check
-    if (role === 'technician' && complaint.assignedTechnician !== username) {
-      return res.status(403).json({ message: 'Not assigned to this complaint' });
-    }
-    if (role === 'user') {
-      return res.status(403).json({ message: 'Users cannot initiate chat this way' });
-    }
-
+    const { complaint } = req;
     const targetPhone = complaint.phone;
     if (!targetPhone) return res.status(404).json({ message: 'No phone number on file' });
 
@@ -194,19 +263,10 @@ router.get('/:id/whatsapp/user', verifyToken, async (req, res) => {
 });
 
 // 2. User -> Technician
-router.get('/:id/whatsapp/technician', verifyToken, async (req, res) => {
+// Users only for their own complaints, organisations for their members'
+router.get('/:id/whatsapp/technician', authorizeComplaint('read', { permissions: ['complaint:contact:technician'] }), async (req, res) => {
   try {
-    const { role, phone, email } = req.user;
-    const complaint = await Complaint.findById(req.params.id);
-
-    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
-
-    // Security Check: User must own the complaint
-    const isOwner = (complaint.phone === phone) || (complaint.email === email);
-    if (role === 'user' && !isOwner) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
+    const { complaint } = req;
     if (!complaint.assignedTechnician) {
       return res.status(404).json({ message: 'No technician assigned yet' });
     }
@@ -226,16 +286,10 @@ router.get('/:id/whatsapp/technician', verifyToken, async (req, res) => {
 });
 
 // 3. Admin/Engineer -> User or Technician
-router.get('/:id/whatsapp/target/:roleName', verifyToken, async (req, res) => {
+router.get('/:id/whatsapp/target/:roleName', authorizeComplaint('read', { permissions: ['complaint:contact:any'] }), async (req, res) => {
   try {
-    const { role } = req.user;
-    if (role !== 'admin' && role !== 'engineer') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
+    const { complaint } = req;
     const { roleName } = req.params;
-    const complaint = await Complaint.findById(req.params.id);
-    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
 
     let targetPhone = '';
     if (roleName === 'user') {
@@ -263,70 +317,80 @@ router.get('/:id/whatsapp/target/:roleName', verifyToken, async (req, res) => {
 /* ============================
    POST: Create Complaint
 ============================ */
-router.post('/', async (req, res) => {
+// When an open ticket with the same phone/email and issue type exists, answers
+// 409 { possibleDuplicate } unless the body says what to do:
+//   duplicateAction=link   -> add this submission to the existing ticket
+//   duplicateAction=create -> open a new ticket anyway (flagged for review)
+// The existing ticket is only shown or linked to its logged-in owner or a
+// caller holding an OTP verification token for its phone / email.
+// Logging in is optional; a customer's Bearer token links the ticket to their account.
+router.post('/', uploadAttachments, async (req, res) => {
+  let attachments = [];
   try {
     const {
-      type, customerName, phone, email, city, address, issueType, description
+      type, customerName, phone, email, city, address, issueType, description, language,
+      duplicateAction
     } = req.body;
 
     if (!customerName || !phone || !city || !issueType) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
-    const isService = type === 'Service Request';
-    const prefix = isService ? 'WSR' : 'WCR';
-    const year = new Date().getFullYear();
-    const counterKey = isService ? `serviceId-${year}` : `complaintId-${year}`;
-
-    let counter = await Counter.findById(counterKey);
-    if (!counter) counter = await Counter.create({ _id: counterKey, seq: 1000 });
+    // Optional spam guard: the phone must have been verified by OTP (purpose 'create')
+    if (otpConfig.requiredForCreate) {
+      const verification = readVerificationToken(getVerificationToken(req), 'create');
+      if (!verification || !matchesContact(verification, { phone })) {
+        return res.status(401).json({
+          message: 'Verify your phone number with an OTP before submitting',
+          otpRequired: true
+        });
+      }
+    }
 
-    counter.seq += 1;
-    await counter.save();
+    const bearer = await readBearerUser(req);
+    const owner = can(bearer, 'complaint:own') ? bearer : null;
+    const actor = owner
+      ? { username: owner.username, role: owner.role }
+      : { username: customerName, role: 'public' };
+
+    const duplicate = await findOpenDuplicate({ phone, email, issueType });
+    const knowsDuplicate = duplicate && provesComplaintContact(req, owner, duplicate);
+    if (knowsDuplicate && duplicateAction === 'link') {
+      attachments = await storeUploads(req.files, actor);
+      const linked = await linkSubmission(duplicate, { description, attachments, actor });
+      return res.json({ linked: true, complaint: summarise(linked) });
+    }
+    if (duplicate && duplicateAction !== 'create') {
+      if (!knowsDuplicate) {
+        return res.status(409).json({
+          possibleDuplicate: true,
+          message: 'An open ticket for this issue may already exist. Verify your phone number or log in to see it, or submit again with duplicateAction=create.'
+        });
+      }
+      return res.status(409).json({
+        possibleDuplicate: true,
+        message: `You already have an open ticket for this issue (${duplicate.complaintId})`,
+        existing: summarise(duplicate)
+      });
+    }
 
-    const complaint = new Complaint({
-      complaintId: `${prefix}-${year}-${counter.seq}`,
-      type: isService ? 'Service Request' : 'Complaint',
-      customerName, phone, email, city, address, issueType, description
-    });
+    attachments = await storeUploads(req.files, actor);
 
-    const saved = await complaint.save();
-
-    // Acknowledgement Email
-    if (saved.email) {
-      const subject = `Complaint Registered – ${saved.complaintId}`;
-      const html = `
-        <p>Dear ${saved.customerName},</p>
-        <p>Your <b>${saved.type}</b> has been successfully registered.</p>
-        <p>
-          <b>Ticket ID:</b> ${saved.complaintId}<br/>
-          <b>City:</b> ${saved.city}<br/>
-          <b>Issue:</b> ${saved.issueType}
-        </p>
-        <p>Our support team will contact you shortly.</p>
-        <p style="color: gray; font-size: 12px;">This is an automated message. Please do not reply.</p>
-      `;
-      sendEmail(saved.email, subject, html);
-    }
-
-    // Admin SMS via Fast2SMS (Optional)
-    if (process.env.FAST2SMS_API_KEY && process.env.WHATSAPP_ADMIN_NUMBER) {
-      try {
-        axios.get('https://www.fast2sms.com/dev/bulkV2', {
-          params: {
-            authorization: process.env.FAST2SMS_API_KEY,
-            route: 'q',
-            message: `New ${saved.type} created. ID: ${saved.complaintId}`,
-            numbers: process.env.WHATSAPP_ADMIN_NUMBER.replace(/\+/g, '')
-          }
-        }).catch(err => console.error('Fast2SMS bg error:', err.message));
-      } catch (smsErr) {
-        console.error('Fast2SMS create failed:', smsErr.message);
+    const { complaint, trackingToken } = await createComplaint(
+      { type, customerName, phone, email, city, address, issueType, description, language },
+      {
+        actor,
+        owner,
+        attachments,
+        possibleDuplicateOf: duplicate?._id,
+        preferences: sanitisePreferences(req.body.notificationPreferences)
       }
-    }
+    );
 
-    res.status(201).json(saved);
+    // The tracking token is only ever handed out here (and in customer emails)
+    res.status(201).json({ ...complaint.toJSON(), trackingToken });
   } catch (err) {
+    await removeStored(attachments);
     console.error('Create error:', err);
     res.status(500).json({ message: err.message });
   }
@@ -335,58 +399,620 @@ router.post('/', async (req, res) => {
 /* ============================
    PATCH: Update Complaint
 ============================ */
-router.patch('/:id', verifyToken, async (req, res) => {
+// Admin / engineer: any complaint; technician: their assignments
+router.patch('/:id', authorizeComplaint('update', { projection: '+trackingToken' }), async (req, res) => {
   try {
-    const { role, username } = req.user;
-    const { status, assignedTechnician, remark, assignedTechnicianPhone, rescheduleReason } = req.body;
+    const { role } = req.user;
+    const { status, remark } = req.body;
+    const oldComplaint = req.complaint;
+
+    // Field whitelist + lifecycle transition rules
+    const updates = req.body;
+    const invalid = validateUpdate(role, oldComplaint, updates);
+    if (invalid) {
+      const { status: httpStatus, ...error } = invalid;
+      return res.status(httpStatus).json(error);
+    }
 
-    const oldComplaint = await Complaint.findById(req.params.id);
-    if (!oldComplaint) return res.status(404).json({ message: 'Complaint not found' });
+    const changes = diffChanges(oldComplaint, updates);
+    const statusChanged = changes.some(change => change.field === 'status');
+    // Reopening resets the SLA and tells the customer, as for customer reopens
+    const reopened = statusChanged && updates.status === 'Reopened';
 
-    // Role-Based Authorization
-    if (role === 'technician') {
-      if (oldComplaint.assignedTechnician !== username) {
-        return res.status(403).json({ message: 'Not authorized for this assignment' });
+    let updated;
+    if (reopened) {
+      updated = await reopenComplaint(oldComplaint, req.user, remark, { fields: updates, changes });
+    } else {
+      const update = { $set: { ...updates } };
+      if (statusChanged && updates.status === 'Resolved') {
+        update.$set.resolvedAt = new Date();
+        if (!oldComplaint.trackingToken) update.$set.trackingToken = newTrackingToken();
       }
-      // Technicians can only update status/remark, not reassign
-      if (assignedTechnician && assignedTechnician !== username) {
-        return res.status(403).json({ message: 'Cannot reassign from technician role' });
+      if (changes.length > 0) {
+        update.$push = {
+          history: buildHistoryEntry({
+            action: statusChanged ? 'status_changed' : 'updated',
+            actor: req.user,
+            changes,
+            remark
+          })
+        };
+      }
+
+      updated = await Complaint.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true }
+      ).select('+trackingToken');
+    }
+
+    // Subscriber webhooks: every change, plus the specific status event
+    if (changes.length > 0) {
+      emitComplaintEvent('complaint.updated', updated, { changes });
+      if (statusChanged) {
+        emitComplaintEvent('complaint.status_changed', updated, {
+          from: oldComplaint.status,
+          to: updated.status,
+          remark
+        });
       }
-    } else if (role !== 'admin' && role !== 'engineer') {
-      return res.status(403).json({ message: 'Unauthorized' });
     }
 
+    // Status Update (email, plus SMS/WhatsApp if the customer opted in)
+    if (statusChanged && !reopened) {
+      notifyCustomer(
+        updated,
+        'statusChange',
+        {
+          complaint: updated,
+          status,
+          remark,
+          feedbackLink: status === 'Resolved' ? feedbackLink(updated) : null,
+          reopenWindowDays: REOPEN_WINDOW_DAYS
+        },
+        'complaint.status_changed'
+      );
+    }
+
+    const { trackingToken, ...result } = updated.toJSON();
+    res.json(result);
+  } catch (err) {
+    console.error('Update error:', err);
+    res.status(400).json({ message: err.message });
+  }
+});
+
+/* ============================
+   COMMENTS
+============================ */
+// Staff see every comment; customers (user/organisation) only customer-visible ones
+router.get('/:id/comments', authorizeComplaint('read', { projection: 'complaintId' }), async (req, res) => {
+  try {
+    const filter = { complaint: req.complaint._id };
+    if (!can(req.user, 'complaint:comment:internal')) filter.visibility = 'customer';
+
+    const comments = await Comment.find(filter).sort({ createdAt: 1 });
+    res.json(comments);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Body: { body, visibility: 'internal' | 'customer' }
+const COMMENT_PROJECTION = 'complaintId customerName email phone language notificationPreferences';
+
+router.post('/:id/comments', authorizeComplaint('read', { projection: COMMENT_PROJECTION }), async (req, res) => {
+  try {
+    const { role, username } = req.user;
+    const { complaint } = req;
+    const body = req.body.body?.trim();
+    if (!body) return res.status(400).json({ message: 'Comment body is required' });
+
+    const isStaff = can(req.user, 'complaint:comment:internal');
+    const visibility = isStaff ? (req.body.visibility || 'internal') : 'customer';
+    if (!['internal', 'customer'].includes(visibility)) {
+      return res.status(400).json({ message: 'Visibility must be internal or customer' });
+    }
+
+    const comment = await Comment.create({
+      complaint: complaint._id,
+      author: { username, role },
+      body,
+      visibility
+    });
+
+    // Let the customer know when staff reply to them
+    if (isStaff && visibility === 'customer') {
+      notifyCustomer(complaint, 'commentReply', { complaint, body }, 'comment.reply');
+    }
+
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error('Comment error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   ATTACHMENTS
+============================ */
+// Same visibility as the list route: technician only if assigned, user only if owner
+router.get('/:id/attachments', authorizeComplaint('read', { projection: 'complaintId attachments' }), async (req, res) => {
+  try {
+    res.json(req.complaint.attachments);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/attachments', authorizeComplaint('read', { projection: 'complaintId' }), uploadAttachments, async (req, res) => {
+  let attachments = [];
+  try {
+    const { complaint } = req;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded in the "attachments" field' });
+    }
+
+    attachments = await storeUploads(req.files, req.user);
+
     const updated = await Complaint.findByIdAndUpdate(
-      req.params.id,
+      complaint._id,
       {
-        ...req.body,
-        updatedAt: new Date()
+        $push: {
+          attachments: { $each: attachments },
+          history: buildHistoryEntry({
+            action: 'attachment_added',
+            actor: req.user,
+            changes: attachments.map(a => ({ field: 'attachments', from: null, to: a.originalName }))
+          })
+        }
       },
       { new: true, runValidators: true }
+    ).select('attachments');
+
+    res.status(201).json(updated.attachments.slice(-attachments.length));
+  } catch (err) {
+    await removeStored(attachments);
+    console.error('Attachment upload error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id/attachments/:attachmentId', authorizeComplaint('read', { projection: 'attachments' }), async (req, res) => {
+  try {
+    const attachment = req.complaint.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    let stream;
+    try {
+      stream = await storage.read(attachment.key);
+    } catch {
+      return res.status(404).json({ message: 'Attachment file missing from storage' });
+    }
+
+    res.set('Content-Type', attachment.mimeType || 'application/octet-stream');
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="${encodeURIComponent(attachment.originalName || 'attachment')}"`
+    );
+    stream.on('error', err => {
+      console.error('Attachment stream error:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Uploader, admin or engineer only
+router.delete('/:id/attachments/:attachmentId', authorizeComplaint('read', { projection: 'attachments' }), async (req, res) => {
+  try {
+    const { complaint } = req;
+
+    const attachment = complaint.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    const isUploader = attachment.uploadedBy?.username === req.user.username;
+    if (!isUploader && !can(req.user, 'complaint:attachment:delete:any')) {
+      return res.status(403).json({ message: 'Only the uploader or staff can delete this file' });
+    }
+
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      {
+        $pull: { attachments: { _id: attachment._id } },
+        $push: {
+          history: buildHistoryEntry({
+            action: 'attachment_removed',
+            actor: req.user,
+            changes: [{ field: 'attachments', from: attachment.originalName, to: null }]
+          })
+        }
+      }
     );
+    await removeStored([attachment]);
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Merge Duplicates (Admin)
+============================ */
+// Body: { duplicates: ['WCR-2025-1002', '<objectId>', ...] }
+router.post('/:id/merge', authorize('complaint:merge'), async (req, res) => {
+  try {
+    const ids = req.body.duplicates;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'duplicates must be a non-empty array' });
+    }
+
+    const primary = await findByIdOrTicket(req.params.id);
+    if (!primary) return res.status(404).json({ message: 'Complaint not found' });
+    if (primary.mergedInto) {
+      return res.status(409).json({ message: `${primary.complaintId} was itself merged into another ticket` });
+    }
+
+    const duplicates = [];
+    for (const id of ids) {
+      const duplicate = await findByIdOrTicket(id);
+      if (!duplicate) return res.status(404).json({ message: `Complaint ${id} not found` });
+      if (duplicate._id.equals(primary._id)) {
+        return res.status(400).json({ message: 'A ticket cannot be merged into itself' });
+      }
+      if (duplicate.mergedInto) {
+        return res.status(409).json({ message: `${duplicate.complaintId} is already merged` });
+      }
+      duplicates.push(duplicate);
+    }
+
+    const merged = await mergeComplaints(primary, duplicates, req.user);
+    res.json(merged);
+  } catch (err) {
+    console.error('Merge error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Assign Technician
+============================ */
+// { technician, reason } = manual override; empty body = pick by city & workload.
+// ?preview=true returns the automatic choice without assigning.
+// Closed, resolved and cancelled tickets cannot be (re)assigned.
+router.post('/:id/assign', authorizeComplaint('update', { permissions: ['complaint:assign'] }), async (req, res) => {
+  try {
+    const { complaint } = req;
+    if (!isOpenStatus(complaint.status)) {
+      return res.status(409).json({ message: `Cannot assign a ${complaint.status.toLowerCase()} complaint` });
+    }
+
+    const { technician: username } = req.body ?? {};
+    const reason = req.body?.reason?.trim();
+
+    if (username) {
+      if (!reason) {
+        return res.status(422).json({
+          message: 'A reason is required for a manual assignment',
+          missingFields: ['reason']
+        });
+      }
+
+      const technician = await User.findOne({
+        username: username.toLowerCase().trim(),
+        role: 'technician',
+        isApproved: true
+      });
+      if (!technician) return res.status(404).json({ message: 'Approved technician not found' });
+
+      const updated = await assignTechnician(complaint, technician, {
+        actor: req.user,
+        mode: 'manual',
+        reason
+      });
+      return res.json(updated);
+    }
+
+    if (req.query.preview === 'true') {
+      const pick = await pickTechnician(complaint);
+      if (!pick) return res.status(409).json({ message: `No approved technician serves ${complaint.city}` });
+      return res.json({
+        technician: pick.technician,
+        workload: pick.workload,
+        workloads: pick.workloads
+      });
+    }
 
-    // Status Update Email
-    if (status && oldComplaint.status !== status && updated.email) {
-      const subject = `Update on Ticket ${updated.complaintId} - Status: ${status}`;
-      const html = `
-        <p>Dear ${updated.customerName},</p>
-        <p>The status of your ticket <b>${updated.complaintId}</b> has been updated.</p>
-        <p>
-            <b>New Status:</b> <span style="color: blue; font-weight: bold;">${status}</span><br>
-            ${updated.assignedTechnician ? `<b>Assigned Technician:</b> ${updated.assignedTechnician}<br>` : ''}
-            ${remark ? `<b>Remark:</b> ${remark}<br>` : ''}
-        </p>
-        <p>Thank you for choosing WattOrbit.</p>
-        <p style="color: gray; font-size: 12px;">This is an automated message. Please do not reply.</p>
-      `;
-      sendEmail(updated.email, subject, html);
+    const updated = await autoAssign(complaint, req.user);
+    if (!updated) {
+      return res.status(409).json({ message: `No approved technician serves ${complaint.city}` });
     }
 
     res.json(updated);
   } catch (err) {
-    console.error('Update error:', err);
+    console.error('Assign error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   PUT: Book / Reschedule Appointment
+============================ */
+router.put('/:id/appointment', authorizeComplaint('update', { permissions: ['complaint:schedule'] }), async (req, res) => {
+  try {
+    const { role } = req.user;
+    const { complaint } = req;
+
+    const slot = parseSlot(req.body);
+    if (slot.error) return res.status(400).json({ message: slot.error });
+
+    const technician = complaint.assignedTechnician;
+    if (!technician) {
+      return res.status(409).json({ message: 'Assign a technician before booking a visit' });
+    }
+
+    const isReschedule = Boolean(complaint.scheduledStart);
+    const reason = req.body.reason?.trim();
+    if (isReschedule && !reason) {
+      return res.status(422).json({
+        message: 'A reason is required to reschedule',
+        missingFields: ['reason']
+      });
+    }
+
+    if (complaint.status !== 'Scheduled') {
+      const invalid = validateTransition(role, complaint.status, 'Scheduled', { rescheduleReason: reason });
+      if (invalid) {
+        const { status: httpStatus, ...error } = invalid;
+        return res.status(httpStatus).json(error);
+      }
+    }
+
+    const conflicts = await findConflicts({ technician, ...slot, excludeId: complaint._id });
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: `${technician} already has a visit booked in this slot`,
+        conflicts
+      });
+    }
+
+    const changes = diffChanges(complaint, {
+      status: 'Scheduled',
+      scheduledStart: slot.start,
+      scheduledEnd: slot.end
+    });
+
+    const set = { status: 'Scheduled', scheduledStart: slot.start, scheduledEnd: slot.end };
+    if (isReschedule) set.rescheduleReason = reason;
+
+    const updated = await Complaint.findByIdAndUpdate(
+      complaint._id,
+      {
+        $set: set,
+        $push: {
+          appointments: {
+            ...slot,
+            technician,
+            reason,
+            bookedBy: { username: req.user.username, role }
+          },
+          history: buildHistoryEntry({
+            action: isReschedule ? 'appointment_rescheduled' : 'appointment_booked',
+            actor: req.user,
+            changes,
+            remark: reason
+          })
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    notifyCustomer(
+      updated,
+      'appointment',
+      { complaint: updated, isReschedule, ...slot, technician, reason },
+      isReschedule ? 'appointment.rescheduled' : 'appointment.booked'
+    );
+
+    res.json(updated);
+  } catch (err) {
+    console.error('Appointment error:', err);
     res.status(400).json({ message: err.message });
   }
 });
 
+/* ============================
+   TECHNICIAN VISITS
+============================ */
+// Assigned technician only. Body: { location: { lat, lng, accuracy? }, note? }
+router.post('/:id/visits/check-in', authorizeComplaint('update', { projection: '-history', permissions: ['complaint:visit'] }), async (req, res) => {
+  try {
+    const { role, username } = req.user;
+    const { complaint } = req;
+
+    const { location, error } = parseLocation(req.body?.location);
+    if (error) return res.status(400).json({ message: error });
+
+    if (findOpenVisit(complaint, username)) {
+      return res.status(409).json({ message: 'Already checked in to this complaint' });
+    }
+    const elsewhere = await findOpenVisitElsewhere(username, complaint._id);
+    if (elsewhere) {
+      return res.status(409).json({
+        message: `Check out of ${elsewhere.complaintId} before starting another visit`,
+        openVisitComplaint: elsewhere.complaintId
+      });
+    }
+
+    const statusChanged = complaint.status !== 'In Progress';
+    if (statusChanged) {
+      const invalid = validateTransition(role, complaint.status, 'In Progress');
+      if (invalid) {
+        const { status: httpStatus, ...error } = invalid;
+        return res.status(httpStatus).json(error);
+      }
+    }
+
+    const note = req.body?.note?.trim();
+    const updated = await checkIn(complaint, req.user, { location, note });
+    if (!updated) return res.status(409).json({ message: 'Already checked in to this complaint' });
+
+    if (statusChanged) {
+      emitComplaintEvent('complaint.updated', updated, {
+        changes: [{ field: 'status', from: complaint.status, to: 'In Progress' }]
+      });
+      emitComplaintEvent('complaint.status_changed', updated, {
+        from: complaint.status,
+        to: 'In Progress',
+        remark: 'Technician checked in'
+      });
+      notifyCustomer(
+        updated,
+        'statusChange',
+        { complaint: updated, status: 'In Progress', remark: 'Our technician has arrived at your site.' },
+        'complaint.status_changed'
+      );
+    }
+
+    res.status(201).json(updated.visits[updated.visits.length - 1]);
+  } catch (err) {
+    console.error('Check-in error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Body: { location: { lat, lng, accuracy? }, note? }. Only the technician's
+// own open visit, even if the complaint was reassigned since check-in.
+router.post('/:id/visits/check-out', authorize('complaint:visit'), async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    const { location, error } = parseLocation(req.body?.location);
+    if (error) return res.status(400).json({ message: error });
+
+    const complaint = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Complaint.findById(req.params.id).select('-history')
+      : null;
+    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+    const visit = findOpenVisit(complaint, username);
+    if (!visit) return res.status(409).json({ message: 'No open visit to check out of' });
+
+    const updated = await checkOut(complaint, visit, req.user, { location, note: req.body?.note?.trim() });
+    if (!updated) return res.status(409).json({ message: 'No open visit to check out of' });
+
+    res.json(updated.visits.id(visit._id));
+  } catch (err) {
+    console.error('Check-out error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin / engineer: every visit with durations; technician: their own visits
+router.get('/:id/visits', authorizeComplaint('read', { projection: 'complaintId visits', permissions: ['visit:read:any', 'visit:read:own'] }), async (req, res) => {
+  try {
+    const { complaint } = req;
+    const visits = can(req.user, 'visit:read:any')
+      ? complaint.visits
+      : complaint.visits.filter(visit => visit.technician === req.user.username);
+
+    res.json({
+      complaintId: complaint.complaintId,
+      visits,
+      summary: summariseVisits(visits)
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Customer Reopen
+============================ */
+// Owner (Bearer token) or tracking-token holder, within REOPEN_WINDOW_DAYS of resolution
+router.post('/:id/reopen', async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+
+    const complaint = await findByIdOrTicket(req.params.id);
+    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+    const actor = await resolveCustomerActor(req, complaint);
+    if (!actor) return res.status(403).json({ message: 'Not authorized for this complaint' });
+
+    const invalid = validateTransition('customer', complaint.status, 'Reopened', { remark: reason });
+    if (invalid) {
+      const { status: httpStatus, ...error } = invalid;
+      if (error.missingFields) error.message = 'A reason is required to reopen';
+      return res.status(httpStatus).json(error);
+    }
+
+    if (!isWithinReopenWindow(complaint)) {
+      return res.status(409).json({
+        message: `Tickets can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution`
+      });
+    }
+
+    const updated = await reopenComplaint(complaint, actor, reason);
+    res.json(updated);
+  } catch (err) {
+    console.error('Reopen error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Customer Feedback
+============================ */
+router.post('/:id/feedback', async (req, res) => {
+  try {
+    const rating = Number(req.body?.rating);
+    const comment = req.body?.comment?.trim();
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    const complaint = await findByIdOrTicket(req.params.id);
+    if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+
+    const actor = await resolveCustomerActor(req, complaint);
+    if (!actor) return res.status(403).json({ message: 'Not authorized for this complaint' });
+
+    if (complaint.status !== 'Resolved' && complaint.status !== 'Closed') {
+      return res.status(409).json({ message: 'Feedback can be given once the ticket is resolved' });
+    }
+
+    // Only the first submission counts
+    const updated = await Complaint.findOneAndUpdate(
+      { _id: complaint._id, 'feedback.submittedAt': { $exists: false } },
+      {
+        $set: { feedback: { rating, comment, submittedAt: new Date() } },
+        $push: {
+          history: buildHistoryEntry({
+            action: 'feedback_submitted',
+            actor,
+            changes: [{ field: 'feedback.rating', from: null, to: rating }],
+            remark: comment
+          })
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Feedback already submitted for this ticket' });
+    }
+
+    res.status(201).json({ complaintId: updated.complaintId, feedback: updated.feedback });
+  } catch (err) {
+    console.error('Feedback error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
 module.exports = router;
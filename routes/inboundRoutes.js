@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { processInboundEmail } = require('../services/inboundEmail');
+const { handleInboundMessage } = require('../services/messageIntake');
+const { toE164 } = require('../services/notifications/dispatcher');
+
+const INBOUND_EMAIL_SECRET = process.env.INBOUND_EMAIL_SECRET;
+const MAX_MESSAGE_SIZE = process.env.INBOUND_EMAIL_MAX_SIZE || '25mb';
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+// Public URL Twilio posts to, when it differs from what this server sees (proxies)
+const TWILIO_WEBHOOK_URL = process.env.TWILIO_WEBHOOK_URL;
+
+/* ============================
+   MIDDLEWARE: SHARED SECRET
+============================ */
+// The mail provider's inbound webhook sends the secret in X-Inbound-Secret
+const verifyInboundSecret = (req, res, next) => {
+  if (!INBOUND_EMAIL_SECRET) {
+    return res.status(503).json({ message: 'Inbound email is not configured' });
+  }
+
+  const provided = Buffer.from(req.get('x-inbound-secret') || '');
+  const expected = Buffer.from(INBOUND_EMAIL_SECRET);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid inbound secret' });
+  }
+  next();
+};
+
+/* ============================
+   POST: Raw MIME Email
+============================ */
+// Body is the raw RFC 822 message (Content-Type message/rfc822, text/plain
+// or application/octet-stream)
+router.post(
+  '/email',
+  verifyInboundSecret,
+  express.raw({
+    type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+    limit: MAX_MESSAGE_SIZE
+  }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Raw MIME message body is required' });
+    }
+
+    try {
+      const result = await processInboundEmail(req.body);
+      if (result.status === 'ignored') {
+        console.warn('Inbound email ignored:', result.reason);
+      }
+      res.json(result);
+    } catch (err) {
+      console.error('Inbound email error:', err);
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/* ============================
+   MIDDLEWARE: TWILIO SIGNATURE
+============================ */
+// X-Twilio-Signature = base64 HMAC-SHA1 of the URL + sorted form params,
+// keyed with the account auth token
+const verifyTwilioSignature = (req, res, next) => {
+  if (!TWILIO_AUTH_TOKEN) {
+    return res.status(503).json({ message: 'Message intake is not configured' });
+  }
+
+  const url = TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const signature = req.get('x-twilio-signature');
+  if (!signature || !twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+    return res.status(403).json({ message: 'Invalid Twilio signature' });
+  }
+  next();
+};
+
+/* ============================
+   POST: SMS / WhatsApp Message
+============================ */
+// Twilio messaging webhook (form-encoded From, Body, ProfileName; WhatsApp
+// senders arrive as "whatsapp:+91..."). Replies with TwiML.
+router.post(
+  '/sms',
+  express.urlencoded({ extended: false }),
+  verifyTwilioSignature,
+  async (req, res) => {
+    const twiml = new twilio.twiml.MessagingResponse();
+    const { From, Body, ProfileName } = req.body;
+    if (!From) return res.status(400).json({ message: 'From is required' });
+
+    try {
+      const isWhatsApp = From.startsWith('whatsapp:');
+      const reply = await handleInboundMessage({
+        channel: isWhatsApp ? 'whatsapp' : 'sms',
+        from: toE164(From.replace(/^whatsapp:/, '')),
+        body: Body,
+        profileName: ProfileName
+      });
+      if (reply) twiml.message(reply);
+    } catch (err) {
+      console.error('Inbound message error:', err);
+      twiml.message('Sorry, something went wrong. Please try again in a few minutes.');
+    }
+
+    res.type('text/xml').send(twiml.toString());
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Notification = require('../models/Notification');
+const Complaint = require('../models/Complaint');
+const { authorize } = require('../middleware/authorize');
+const { parsePagination } = require('../services/complaintQuery');
+const { processQueue } = require('../services/notifications/worker');
+const templates = require('../services/notifications/templates');
+const { DIGEST_ROLES, runDigest, nextRunAt } = require('../services/digest');
+
+/* ============================
+   MIDDLEWARE: ADMIN ONLY
+============================ */
+router.use(authorize('notification:manage'));
+
+/* ============================
+   GET: List Notifications
+============================ */
+// ?complaint=<ObjectId | WCR-...>&status=queued|sending|sent|dead&channel=email|sms|whatsapp&page&limit
+router.get('/', async (req, res) => {
+  try {
+    const { complaint, status, channel } = req.query;
+    const filter = {};
+
+    if (complaint) {
+      const found = await Complaint.findOne(
+        mongoose.Types.ObjectId.isValid(complaint) ? { _id: complaint } : { complaintId: complaint }
+      ).select('_id');
+      if (!found) return res.status(404).json({ message: 'Complaint not found' });
+      filter.complaint = found._id;
+    }
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [data, total] = await Promise.all([
+      Notification.find(filter)
+        .select('-html -attemptLog')
+        .populate('complaint', 'complaintId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter)
+    ]);
+
+    res.json({
+      data,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   TEMPLATES: List & Preview
+============================ */
+router.get('/templates', (req, res) => {
+  res.json(templates.listTemplates());
+});
+
+// ?lang=en|hi&complaint=<ObjectId | WCR-...>&format=json|html
+// Renders against the given complaint, or built-in sample data when omitted
+router.get('/templates/:name/preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!templates.TEMPLATES[name]) {
+      return res.status(404).json({ message: `Unknown template '${name}'` });
+    }
+
+    let complaint;
+    if (req.query.complaint) {
+      const id = req.query.complaint;
+      complaint = await Complaint.findOne(
+        mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { complaintId: id }
+      ).select('-history');
+      if (!complaint) return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const lang = req.query.lang || complaint?.language;
+    const rendered = templates.renderSample(name, lang, complaint);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+    res.json({ template: name, ...rendered });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   DAILY DIGEST: Manual Trigger
+============================ */
+// Body: { roles?: ['admin', 'engineer', 'technician'], username?, dryRun? }
+// dryRun returns what each recipient would get without queueing any email
+router.post('/digest/run', async (req, res) => {
+  try {
+    const { roles = DIGEST_ROLES, username, dryRun } = req.body || {};
+    if (!Array.isArray(roles) || roles.some(role => !DIGEST_ROLES.includes(role))) {
+      return res.status(400).json({ message: `Roles must be any of: ${DIGEST_ROLES.join(', ')}` });
+    }
+
+    const result = await runDigest({ roles, username, dryRun: dryRun === true });
+    res.json({ ...result, nextScheduledRun: nextRunAt() });
+  } catch (err) {
+    console.error('Digest trigger error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   GET: Inspect Notification
+============================ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findById(req.params.id)
+      .populate('complaint', 'complaintId status');
+    if (!notification) return res.status(404).json({ message: 'Notification not found' });
+
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Re-send Failed Notification
+============================ */
+// Puts a dead-lettered message back at the front of the queue. Queued ones are
+// left to the worker so they are not sent twice.
+router.post('/:id/resend', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      const exists = await Notification.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Only failed notifications can be re-sent' })
+        : res.status(404).json({ message: 'Notification not found' });
+    }
+
+    setImmediate(processQueue);
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Organisation = require('../models/Organisation');
+const OrganisationInvite = require('../models/OrganisationInvite');
+const { authorize, authorizeOrganisation } = require('../middleware/authorize');
+const { can } = require('../services/permissions');
+const { readBearerUser } = require('../services/complaintAccess');
+const { buildListFilter } = require('../services/complaintQuery');
+const { createComplaint } = require('../services/complaintIntake');
+const {
+  validateOrganisationInput,
+  organisationIdOf,
+  listMembers,
+  findMember,
+  inviteView,
+  createInvite,
+  acceptInvite,
+  memberStats
+} = require('../services/organisations');
+
+/* ============================
+   POST: Accept Invite
+============================ */
+// Body: { token } with a customer's Bearer token to join with that account,
+// or { token, username, password, name? } to register (pending approval by
+// the organisation).
+router.post('/invites/accept', async (req, res) => {
+  try {
+    const user = await readBearerUser(req);
+    const { token, username, password, name } = req.body;
+
+    const result = await acceptInvite(token, { user, registration: { username, password, name } });
+    if (result.status) {
+      const { status: httpStatus, ...error } = result;
+      return res.status(httpStatus).json(error);
+    }
+
+    res.status(result.registered ? 201 : 200).json({
+      message: result.registered
+        ? `Registration successful. Await approval by ${result.organisation.name}.`
+        : `You are now a member of ${result.organisation.name}`,
+      organisation: { _id: result.organisation._id, name: result.organisation.name }
+    });
+  } catch (err) {
+    console.error('Invite accept error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   ORGANISATIONS
+============================ */
+router.post('/', authorize('organisation:create'), async (req, res) => {
+  try {
+    const result = validateOrganisationInput(req.body, { allowActive: true });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    const { data } = result;
+
+    if (await Organisation.exists({ name: data.name })) {
+      return res.status(409).json({ message: 'An organisation with this name already exists' });
+    }
+
+    const organisation = await Organisation.create(data);
+    res.status(201).json(organisation);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/', authorize('organisation:list'), async (req, res) => {
+  try {
+    const organisations = await Organisation.find({}).sort({ name: 1 });
+    res.json(organisations);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The caller's own organisation (organisation admins and members)
+router.get('/mine', authorize('organisation:manage:own', 'complaint:own'), async (req, res) => {
+  try {
+    const organisationId = await organisationIdOf(req.user);
+    const organisation = organisationId && await Organisation.findById(organisationId);
+    if (!organisation) return res.status(404).json({ message: 'Not a member of any organisation' });
+
+    res.json(organisation);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', authorizeOrganisation(), (req, res) => {
+  res.json(req.organisation);
+});
+
+router.patch('/:id', authorizeOrganisation(), async (req, res) => {
+  try {
+    const allowActive = can(req.user, 'organisation:manage:any');
+    const result = validateOrganisationInput(req.body, { partial: true, allowActive });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    const { data } = result;
+
+    if (data.name && await Organisation.exists({ name: data.name, _id: { $ne: req.organisation._id } })) {
+      return res.status(409).json({ message: 'An organisation with this name already exists' });
+    }
+
+    req.organisation.set(data);
+    await req.organisation.save();
+    res.json(req.organisation);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+/* ============================
+   INVITES
+============================ */
+// Body: { phone } or { email }. The link goes out by SMS / email.
+router.post('/:id/invites', authorizeOrganisation(), async (req, res) => {
+  try {
+    const result = await createInvite(req.organisation, req.body, req.user);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(201).json(inviteView(result.invite));
+  } catch (err) {
+    console.error('Invite error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id/invites', authorizeOrganisation(), async (req, res) => {
+  try {
+    const invites = await OrganisationInvite.find({ organisation: req.organisation._id })
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.json(invites.map(inviteView));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id/invites/:inviteId', authorizeOrganisation(), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.inviteId)) {
+    return res.status(404).json({ message: 'Invite not found' });
+  }
+
+  try {
+    const invite = await OrganisationInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, organisation: req.organisation._id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) return res.status(404).json({ message: 'No pending invite found' });
+
+    res.json(inviteView(invite));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   MEMBERS
+============================ */
+router.get('/:id/members', authorizeOrganisation(), async (req, res) => {
+  try {
+    res.json(await listMembers(req.organisation));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.patch('/:id/members/:userId/approve', authorizeOrganisation(), async (req, res) => {
+  try {
+    const member = await findMember(req.organisation, req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+
+    member.isApproved = true;
+    await member.save();
+
+    res.json({
+      message: `${member.username} approved`,
+      member: { _id: member._id, username: member.username, isApproved: member.isApproved }
+    });
+  } catch (err) {
+    res.status(400).json({ message: 'Approval failed' });
+  }
+});
+
+// Unlinks the account; its complaints stay with the user, not the organisation
+router.delete('/:id/members/:userId', authorizeOrganisation(), async (req, res) => {
+  try {
+    const member = await findMember(req.organisation, req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+
+    member.organisationId = undefined;
+    await member.save();
+    res.json({ message: `${member.username} removed from ${req.organisation.name}` });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   MEMBER COMPLAINTS
+============================ */
+// Same filters as GET /api/complaints (status, city, issueType, from / to, ...)
+router.get('/:id/stats', authorizeOrganisation(), async (req, res) => {
+  try {
+    const { filter, error } = buildListFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    res.json(await memberStats(req.organisation, filter));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// File for a member: the ticket is owned by the member and carries their
+// contact details. Body: { memberId, city, issueType, type?, address?,
+// description?, language?, phone? (when the member has none on file) }
+router.post('/:id/complaints', authorizeOrganisation(), async (req, res) => {
+  try {
+    const { memberId, type, city, address, issueType, description, language } = req.body;
+    if (!req.organisation.active) return res.status(409).json({ message: 'Organisation is inactive' });
+    if (!memberId || !city || !issueType) {
+      return res.status(400).json({ message: 'memberId, city and issueType are required' });
+    }
+
+    const member = await findMember(req.organisation, memberId);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+    if (!member.isApproved) return res.status(409).json({ message: 'Approve the member before filing for them' });
+
+    const phone = member.phone || req.body.phone;
+    if (!phone) return res.status(400).json({ message: 'The member has no phone number on file; include phone' });
+
+    const { complaint, trackingToken } = await createComplaint(
+      {
+        type,
+        customerName: member.name || member.username,
+        phone,
+        email: member.email || undefined,
+        city,
+        address,
+        issueType,
+        description,
+        language: language || member.language
+      },
+      {
+        actor: { username: req.user.username, role: req.user.role },
+        owner: { id: member._id }
+      }
+    );
+
+    res.status(201).json({ ...complaint.toJSON(), trackingToken });
+  } catch (err) {
+    console.error('Organisation complaint error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
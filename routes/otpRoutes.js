@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { requestOtp, verifyOtp } = require('../services/otp');
+
+/* =========================
+   RATE LIMITER
+========================= */
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: 'Too many attempts. Try again later.' }
+});
+
+/* ============================
+   POST: Request Code
+============================ */
+// Body: { phone } or { email }, purpose: 'track' | 'create' | 'claim', language?: 'en' | 'hi'
+// Answers the same whether or not any complaint uses this phone / email
+router.post('/request', otpLimiter, async (req, res) => {
+  try {
+    const { phone, email, purpose, language } = req.body;
+    const result = await requestOtp({ phone, email, purpose, language: language === 'hi' ? 'hi' : 'en' });
+
+    if (result.status) {
+      const { status, ...error } = result;
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(status).json(error);
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('OTP request error:', err);
+    res.status(500).json({ message: 'Could not send verification code' });
+  }
+});
+
+/* ============================
+   POST: Verify Code
+============================ */
+// Body: { challengeId, code } -> { verificationToken, expiresAt }. Send the token
+// as X-Verification-Token to GET /api/complaints/track (purpose 'track'),
+// POST /api/complaints (purpose 'create') or /api/complaints/claim (purpose 'claim').
+router.post('/verify', otpLimiter, async (req, res) => {
+  try {
+    const result = await verifyOtp(req.body);
+    if (result.status) {
+      const { status, ...error } = result;
+      return res.status(status).json(error);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('OTP verify error:', err);
+    res.status(500).json({ message: 'Verification failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const verifyToken = require('../middleware/verifyToken');
+const {
+  sanitisePreferences,
+  mergePreferences,
+  readPreferencesToken
+} = require('../services/notifications/preferences');
+const { phoneVariants } = require('../services/otp');
+
+// Turning these off is what "unsubscribe" means; essential ticket and
+// account messages are still delivered on the enabled channels.
+const UNSUBSCRIBE = {
+  events: { statusUpdates: false, appointments: false, comments: false, promotional: false }
+};
+
+/* ============================
+   LOGGED-IN USER
+============================ */
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('username notificationPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ username: user.username, preferences: user.notificationPreferences });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('username notificationPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    user.notificationPreferences = mergePreferences(
+      user.notificationPreferences,
+      sanitisePreferences(req.body)
+    );
+    await user.save();
+
+    res.json({ username: user.username, preferences: user.notificationPreferences });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+/* ============================
+   SIGNED LINK (FROM EMAILS)
+============================ */
+// Complaint links act for the customer (every ticket filed with that phone,
+// however it was written); user links act for the account.
+const loadSubject = async (token) => {
+  const subject = readPreferencesToken(token);
+  if (!subject) return null;
+
+  if (subject.kind === 'u') {
+    const user = await User.findById(subject.id).select('username notificationPreferences');
+    return user && {
+      describe: { type: 'user', username: user.username },
+      preferences: user.notificationPreferences,
+      save: async (preferences) => {
+        user.notificationPreferences = preferences;
+        await user.save();
+      }
+    };
+  }
+
+  const complaint = await Complaint.findById(subject.id).select('complaintId phone notificationPreferences');
+  return complaint && {
+    describe: { type: 'complaint', complaintId: complaint.complaintId },
+    preferences: complaint.notificationPreferences,
+    save: (preferences) =>
+      Complaint.updateMany(
+        { phone: { $in: phoneVariants(complaint.phone) } },
+        { $set: { notificationPreferences: preferences } }
+      )
+  };
+};
+
+const applyChanges = async (req, res, changes) => {
+  try {
+    const subject = await loadSubject(req.params.token);
+    if (!subject) return res.status(404).json({ message: 'Invalid or expired link' });
+
+    const preferences = mergePreferences(subject.preferences, changes);
+    await subject.save(preferences);
+
+    res.json({ ...subject.describe, preferences });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
+
+router.get('/:token', async (req, res) => {
+  try {
+    const subject = await loadSubject(req.params.token);
+    if (!subject) return res.status(404).json({ message: 'Invalid or expired link' });
+
+    res.json({ ...subject.describe, preferences: subject.preferences });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Body: { channels: { email, sms, whatsapp }, events: { statusUpdates, appointments, comments, promotional } }
+router.put('/:token', (req, res) => applyChanges(req, res, sanitisePreferences(req.body)));
+
+router.post('/:token/unsubscribe', (req, res) => applyChanges(req, res, UNSUBSCRIBE));
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authorize } = require('../middleware/authorize');
+const { can } = require('../services/permissions');
+const { parsePagination } = require('../services/complaintQuery');
+const { processDeliveries, deliverNow } = require('../services/webhooks/worker');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  validateWebhookInput
+} = require('../services/webhooks');
+
+/* ============================
+   MIDDLEWARE: ADMIN & ORGANISATION
+============================ */
+router.use(authorize('webhook:manage:any', 'webhook:manage:own'));
+
+// Admins manage every webhook, organisations only their own
+const ownerScope = (user) =>
+  can(user, 'webhook:manage:any') ? {} : { 'owner.user': user.id };
+
+const ownedFilter = (user, id) => ({ _id: id, ...ownerScope(user) });
+
+const findOwnedWebhook = (user, id, projection) =>
+  mongoose.Types.ObjectId.isValid(id)
+    ? Webhook.findOne(ownedFilter(user, id)).select(projection)
+    : null;
+
+// Organisations see the status their endpoint answered with, but not the
+// network error behind a failed connection (it would let them probe hosts)
+const DELIVERY_FAILED = 'Delivery failed: the endpoint could not be reached';
+
+const deliveryView = (user, delivery) => {
+  const view = delivery.toJSON();
+  if (can(user, 'webhook:manage:any')) return view;
+
+  if (view.lastError && !view.attemptLog?.at(-1)?.responseStatus) view.lastError = DELIVERY_FAILED;
+  view.attemptLog = view.attemptLog?.map(entry =>
+    entry.error && !entry.responseStatus ? { ...entry, error: DELIVERY_FAILED } : entry
+  );
+  return view;
+};
+
+/* ============================
+   GET: Events & Webhooks
+============================ */
+router.get('/events', (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(ownerScope(req.user)).sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+    res.json(webhook);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Register Webhook
+============================ */
+// Body: { url, events: ['complaint.created', ...], description? }
+// The signing secret is returned only here and from rotate-secret
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const invalid = await validateWebhookInput({ url, events });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const webhook = await Webhook.create({
+      owner: { user: req.user.id, username: req.user.username, role: req.user.role },
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: generateSecret()
+    });
+
+    res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+  } catch (err) {
+    console.error('Webhook create error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   PATCH / DELETE: Manage Webhook
+============================ */
+// Body: any of { url, events, description, active }
+router.patch('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const { url = webhook.url, events = webhook.events, description, active } = req.body;
+    const invalid = await validateWebhookInput({ url, events });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    webhook.url = url;
+    webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (typeof active === 'boolean') webhook.active = active;
+
+    await webhook.save();
+    res.json(webhook);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const secret = generateSecret();
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { secret } });
+    res.json({ ...webhook.toJSON(), secret });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    await Promise.all([
+      webhook.deleteOne(),
+      WebhookDelivery.deleteMany({ webhook: webhook._id })
+    ]);
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   POST: Test Ping
+============================ */
+// Sends a signed "ping" right away (no retries) and returns the delivery log entry
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+    if (!webhook.active) return res.status(409).json({ message: 'Webhook is disabled' });
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'ping',
+      payload: {
+        event: 'ping',
+        createdAt: new Date(),
+        data: { webhook: String(webhook._id), events: webhook.events }
+      },
+      maxAttempts: 1
+    });
+
+    const result = await deliverNow(delivery);
+    res.status(result.status === 'delivered' ? 200 : 502).json(deliveryView(req.user, result));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/* ============================
+   DELIVERY LOG
+============================ */
+// ?status=queued|sending|delivered|dead&event=&page&limit
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id, '_id');
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [data, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .populate('complaint', 'complaintId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: data.map(delivery => deliveryView(req.user, delivery)),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id, '_id');
+    if (!webhook || !mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+    res.json(deliveryView(req.user, delivery));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Puts a dead-lettered delivery back at the front of the queue
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user, req.params.id, '_id');
+    if (!webhook || !mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhook: webhook._id, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: req.params.deliveryId, webhook: webhook._id });
+      return exists
+        ? res.status(409).json({ message: 'Only failed deliveries can be redelivered' })
+        : res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    setImmediate(processDeliveries);
+    res.json(deliveryView(req.user, delivery));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organisation = require('../models/Organisation');
+
+// Before organisations had their own collection, User.organisationId held the
+// _id of the organisation's account (a user with role 'organisation', set via
+// /api/auth/set-role). This creates an Organisation for every such legacy id,
+// reusing the id itself, so existing member links keep matching. Organisation
+// accounts not linked to anything get an organisation of their own.
+// Safe to run more than once.
+// Usage:
+//   node scripts/migrateOrganisations.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+// Organisation names are unique; suffix the account's name when taken
+const freeName = async (base) => {
+  let name = base;
+  for (let n = 2; await Organisation.exists({ name }); n += 1) name = `${base} (${n})`;
+  return name;
+};
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const referenced = await User.distinct('organisationId', { organisationId: { $ne: null } });
+  const existing = new Set(
+    (await Organisation.find({ _id: { $in: referenced } }).select('_id')).map(org => String(org._id))
+  );
+  const unlinked = await User.find({ role: 'organisation', organisationId: null }).select('_id');
+
+  const legacyIds = [
+    ...referenced.filter(id => !existing.has(String(id))),
+    ...unlinked.map(account => account._id)
+  ];
+
+  let created = 0;
+  let linked = 0;
+  for (const id of legacyIds) {
+    if (await Organisation.exists({ _id: id })) continue;
+
+    const account = await User.findById(id).select('username name email phone city address role');
+    const name = await freeName(account?.name || account?.username || `Organisation ${id}`);
+    console.log(`${dryRun ? '[dry run] ' : ''}${id} -> "${name}"${account ? ` (account ${account.username})` : ''}`);
+    if (dryRun) continue;
+
+    await Organisation.create({
+      _id: id,
+      name,
+      contactEmail: account?.email,
+      contactPhone: account?.phone,
+      city: account?.city,
+      address: account?.address
+    });
+    created += 1;
+
+    // The organisation account now belongs to the organisation it stood for
+    if (account?.role === 'organisation') {
+      const result = await User.updateOne({ _id: account._id, organisationId: null }, { $set: { organisationId: id } });
+      linked += result.modifiedCount;
+    }
+  }
+
+  console.log(dryRun
+    ? `${legacyIds.length} organisation(s) would be created`
+    : `Created ${created} organisation(s), linked ${linked} organisation account(s)`);
+  process.exit(0);
+}
+
+migrate().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+
+// Complaint emails used to be stored exactly as typed, while duplicate
+// detection, OTP tracking and claims look them up lowercased. This lowercases
+// and trims the emails of existing tickets. Safe to run more than once.
+// Usage:
+//   node scripts/normaliseComplaintEmails.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const normalised = { $toLower: { $trim: { input: '$email' } } };
+
+async function normalise() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filter = { email: { $type: 'string' }, $expr: { $ne: ['$email', normalised] } };
+
+  if (dryRun) {
+    console.log(`[dry run] ${await Complaint.countDocuments(filter)} complaint email(s) would be normalised`);
+    process.exit(0);
+  }
+
+  const result = await Complaint.updateMany(filter, [{ $set: { email: normalised } }], { updatePipeline: true });
+  console.log(`Normalised ${result.modifiedCount} complaint email(s)`);
+  process.exit(0);
+}
+
+normalise().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
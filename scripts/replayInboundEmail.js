@@ -0,0 +1,43 @@
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const { parseInboundEmail } = require('../services/inboundEmail');
+
+// Usage:
+//   node scripts/replayInboundEmail.js <file.eml>             – parse only (no DB)
+//   node scripts/replayInboundEmail.js <file.eml> --post [url] – POST to the webhook
+//     (default url http://localhost:5000/api/inbound/email, uses INBOUND_EMAIL_SECRET)
+async function replay() {
+  const [file, flag, url = 'http://localhost:5000/api/inbound/email'] = process.argv.slice(2);
+  if (!file) {
+    console.log('Usage: node scripts/replayInboundEmail.js <file.eml> [--post [url]]');
+    process.exit(1);
+  }
+
+  const raw = fs.readFileSync(file);
+
+  if (flag !== '--post') {
+    const { files, ...parsed } = await parseInboundEmail(raw);
+    console.log(JSON.stringify({
+      ...parsed,
+      attachments: files.map(f => ({ name: f.originalname, mimeType: f.mimetype, size: f.size }))
+    }, null, 2));
+    process.exit(0);
+  }
+
+  try {
+    const res = await axios.post(url, raw, {
+      headers: {
+        'Content-Type': 'message/rfc822',
+        'X-Inbound-Secret': process.env.INBOUND_EMAIL_SECRET || ''
+      }
+    });
+    console.log(res.status, JSON.stringify(res.data, null, 2));
+    process.exit(0);
+  } catch (err) {
+    console.error(err.response?.status || '', err.response?.data || err.message);
+    process.exit(1);
+  }
+}
+
+replay();
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const axios = require('axios');
+const twilio = require('twilio');
+
+// Simulates a Twilio messaging webhook against a local server, signed with
+// TWILIO_AUTH_TOKEN, and prints the TwiML reply.
+// Usage:
+//   node scripts/replayInboundSms.js <from> <message...>
+//   node scripts/replayInboundSms.js whatsapp:+919876543210 STATUS WCR-2025-1001
+// URL: TWILIO_WEBHOOK_URL or http://localhost:5000/api/inbound/sms
+async function replay() {
+  const [from, ...words] = process.argv.slice(2);
+  if (!from || words.length === 0) {
+    console.log('Usage: node scripts/replayInboundSms.js <from> <message...>');
+    process.exit(1);
+  }
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.log('TWILIO_AUTH_TOKEN must be set (any value works locally)');
+    process.exit(1);
+  }
+
+  const url = process.env.TWILIO_WEBHOOK_URL || 'http://localhost:5000/api/inbound/sms';
+  const params = { From: from, To: process.env.TWILIO_SMS_FROM || '+10000000000', Body: words.join(' ') };
+  const signature = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params);
+
+  try {
+    const res = await axios.post(url, new URLSearchParams(params).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signature
+      }
+    });
+    console.log(res.data);
+    process.exit(0);
+  } catch (err) {
+    console.error(err.response?.status || '', err.response?.data || err.message);
+    process.exit(1);
+  }
+}
+
+replay();
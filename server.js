@@ -10,6 +10,10 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const cityRoutes = require("./routes/cityRoutes");
+const { startSlaSweep } = require('./services/slaService');
+const { startNotificationWorker } = require('./services/notifications/worker');
+const { startDigestScheduler } = require('./services/digest');
+const { startWebhookWorker } = require('./services/webhooks/worker');
 
 /* =====================
    ENV CHECK (SAFE LOG)
@@ -17,6 +21,7 @@ const cityRoutes = require("./routes/cityRoutes");
 console.log('Environment Check:');
 console.log('SMTP_HOST:', process.env.SMTP_HOST ? 'Loaded' : 'Missing');
 console.log('MONGO_URI:', process.env.MONGO_URI ? 'Loaded' : 'Missing');
+console.log('Notification providers:', require('./config/notifications').providers);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -68,7 +73,7 @@ app.use(
       return callback(new Error("Not allowed by CORS"));
     },
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Verification-Token"],
     credentials: true
   })
 );
@@ -115,6 +120,13 @@ mongoose
       'MongoDB connected:',
       MONGO_URI.includes('localhost') ? 'LOCAL' : 'CLOUD'
     );
+
+    // Background jobs: outbound notification and webhook queues, SLA breach
+    // detection & escalation, morning digest emails
+    startNotificationWorker();
+    startWebhookWorker();
+    startSlaSweep();
+    startDigestScheduler();
   })
   .catch(err => {
     console.error('MongoDB connection failed:', err.message);
@@ -154,6 +166,12 @@ app.get('/api/user-check', async (req, res) => {
 app.use('/api/complaints', require('./routes/complaintRoutes'));
 app.use('/api/cities', require('./routes/cityRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/preferences', require('./routes/preferenceRoutes'));
+app.use('/api/inbound', require('./routes/inboundRoutes'));
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/otp', require('./routes/otpRoutes'));
+app.use('/api/organisations', require('./routes/organisationRoutes'));
 
 /* =====================
    GLOBAL ERROR HANDLER
@@ -0,0 +1,117 @@
+const Complaint = require('../models/Complaint');
+const City = require('../models/City');
+const User = require('../models/User');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { CLOSED_STATUSES } = require('./complaintLifecycle');
+const { notifyUser } = require('./notifications');
+const { emitComplaintEvent } = require('./webhooks');
+const { escapeRegex } = require('./complaintQuery');
+
+const findCityByName = (name) =>
+  City.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+
+/* ============================
+   CANDIDATES & WORKLOAD
+============================ */
+// Approved technicians linked to the city document, or whose profile city matches
+const findCandidates = async (cityName) => {
+  const city = await findCityByName(cityName).select('technicians');
+
+  return User.find({
+    role: 'technician',
+    isApproved: true,
+    $or: [
+      { _id: { $in: city?.technicians || [] } },
+      { city: new RegExp(`^${escapeRegex(cityName)}$`, 'i') }
+    ]
+  }).select('username name phone email city language notificationPreferences');
+};
+
+// username -> number of open complaints currently assigned
+const getWorkloads = async (usernames) => {
+  const counts = await Complaint.aggregate([
+    { $match: { assignedTechnician: { $in: usernames }, status: { $nin: CLOSED_STATUSES } } },
+    { $group: { _id: '$assignedTechnician', open: { $sum: 1 } } }
+  ]);
+
+  const workloads = Object.fromEntries(usernames.map(u => [u, 0]));
+  counts.forEach(({ _id, open }) => { workloads[_id] = open; });
+  return workloads;
+};
+
+// Least-loaded candidate for the complaint's city (ties broken by username)
+const pickTechnician = async (complaint) => {
+  const candidates = await findCandidates(complaint.city);
+  if (candidates.length === 0) return null;
+
+  const workloads = await getWorkloads(candidates.map(c => c.username));
+  const [technician] = [...candidates].sort(
+    (a, b) => workloads[a.username] - workloads[b.username] || a.username.localeCompare(b.username)
+  );
+
+  return { technician, workload: workloads[technician.username], workloads };
+};
+
+/* ============================
+   ASSIGN
+============================ */
+const assignTechnician = async (complaint, technician, { actor, mode, reason }) => {
+  const updated = await Complaint.findByIdAndUpdate(
+    complaint._id,
+    {
+      $set: {
+        assignedTechnician: technician.username,
+        assignedTechnicianPhone: technician.phone,
+        assignment: {
+          mode,
+          reason,
+          assignedBy: actor.username,
+          assignedAt: new Date()
+        }
+      },
+      $push: {
+        history: buildHistoryEntry({
+          action: 'assigned',
+          actor,
+          changes: [{
+            field: 'assignedTechnician',
+            from: complaint.assignedTechnician ?? null,
+            to: technician.username
+          }],
+          remark: reason
+        })
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  notifyUser(technician, 'assignment', { complaint: updated, technician }, {
+    complaint: updated._id,
+    event: 'complaint.assigned'
+  });
+  emitComplaintEvent('complaint.assigned', updated, {
+    from: complaint.assignedTechnician ?? null,
+    to: technician.username,
+    mode
+  });
+
+  return updated;
+};
+
+// Picks and assigns in one step; resolves to null when nobody serves the city
+const autoAssign = async (complaint, actor) => {
+  const pick = await pickTechnician(complaint);
+  if (!pick) return null;
+
+  const reason = `Auto-assigned: ${pick.workload} open ticket(s) in ${complaint.city}`;
+  return assignTechnician(complaint, pick.technician, { actor, mode: 'auto', reason });
+};
+
+module.exports = {
+  findCityByName,
+  findCandidates,
+  getWorkloads,
+  pickTechnician,
+  assignTechnician,
+  autoAssign
+};
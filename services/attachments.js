@@ -0,0 +1,41 @@
+const storage = require('./storage');
+
+/* ============================
+   ATTACHMENT HELPERS
+============================ */
+// Persists multer files and returns the attachment subdocuments to store
+const storeUploads = async (files = [], actor) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const key = await storage.save({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype
+      });
+      stored.push({
+        key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: { username: actor?.username, role: actor?.role },
+        uploadedAt: new Date()
+      });
+    }
+  } catch (err) {
+    await removeStored(stored);
+    throw err;
+  }
+  return stored;
+};
+
+// Best-effort cleanup (e.g. when the complaint save fails after upload)
+const removeStored = async (attachments = []) => {
+  await Promise.all(
+    attachments.map(a =>
+      storage.remove(a.key).catch(err => console.error('Attachment cleanup failed:', err.message))
+    )
+  );
+};
+
+module.exports = { storeUploads, removeStored };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { getVerificationToken, readVerificationToken, matchesContact } = require('./otp');
+const { can } = require('./permissions');
+const { isAccessTokenCurrent } = require('./sessions');
+
+/* ============================
+   PERMISSION-BASED COMPLAINT SCOPE
+============================ */
+// Access tokens carry only id / username / role; organisation scoping needs
+// the caller's organisation.
+const loadPrincipal = async (user) => {
+  const id = user.id || user._id;
+  const record = id && mongoose.Types.ObjectId.isValid(id)
+    ? await User.findById(id).select('username organisationId').lean()
+    : null;
+  return { username: user.username, role: user.role, ...record, id };
+};
+
+// Complaints owned by any member of the caller's organisation; nothing for
+// an organisation account not linked to one yet (links made before the
+// Organisation collection existed: run scripts/migrateOrganisations.js)
+const organisationScope = async (principal) => {
+  if (!principal.organisationId) return { userId: { $in: [] } };
+  const members = await User.find({ organisationId: principal.organisationId }).select('_id');
+  return { userId: { $in: members.map(member => member._id) } };
+};
+
+// Complaints filed while logged in or claimed after OTP verification
+const ownScope = (user) => ({ userId: user.id || user._id });
+
+// Returns the Mongo filter limiting which complaints the caller may read or
+// update (action 'read' | 'update'), or null when they hold no permission
+// for that action.
+const buildComplaintScope = async (user, action = 'read') => {
+  if (can(user, `complaint:${action}:any`)) return {};
+
+  const clauses = [];
+  if (can(user, `complaint:${action}:assigned`)) {
+    clauses.push({ assignedTechnician: user.username });
+  }
+
+  if (can(user, `complaint:${action}:organisation`)) {
+    clauses.push(await organisationScope(await loadPrincipal(user)));
+  }
+  if (can(user, `complaint:${action}:own`)) {
+    clauses.push(ownScope(user));
+  }
+
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Loads a single complaint only if it falls inside the caller's scope.
+// Resolves to undefined when the caller holds no permission for the action
+// so callers can answer 403.
+const findAccessibleComplaint = async (user, id, projection, action = 'read') => {
+  const scope = await buildComplaintScope(user, action);
+  if (!scope) return undefined;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  return Complaint.findOne({ $and: [{ _id: id }, scope] }, projection);
+};
+
+const isComplaintOwner = (user, complaint) =>
+  Boolean(complaint.userId && String(complaint.userId) === String(user.id || user._id));
+
+// The logged-in caller of a public route (Bearer token optional), or null
+// when the token is missing, invalid or no longer current
+const readBearerUser = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+  let user;
+  try {
+    user = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  return (await isAccessTokenCurrent(user)) ? user : null;
+};
+
+const safeEqual = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// Identifies the customer acting on a complaint without staff credentials:
+// the logged-in owner (Bearer token), whoever holds the complaint's tracking
+// token, or someone who verified its phone / email by OTP. Returns the
+// history actor, or null when none applies.
+// `complaint` must have been loaded with +trackingToken.
+const resolveCustomerActor = async (req, complaint) => {
+  const user = await readBearerUser(req);
+  if (can(user, 'complaint:read:own') && isComplaintOwner(user, complaint)) {
+    return { username: user.username, role: 'customer' };
+  }
+
+  const token = req.body?.token || req.query.token;
+  if (safeEqual(token, complaint.trackingToken)) {
+    return { username: complaint.customerName, role: 'customer' };
+  }
+
+  const verification = readVerificationToken(getVerificationToken(req), 'track');
+  if (matchesContact(verification, complaint)) {
+    return { username: complaint.customerName, role: 'customer' };
+  }
+
+  return null;
+};
+
+// Whether the submitter of a new ticket may see or add to `complaint`, an open
+// ticket with the same contact: its logged-in owner, or someone who verified
+// its phone / email by OTP
+const provesComplaintContact = (req, user, complaint) => {
+  if (user && isComplaintOwner(user, complaint)) return true;
+
+  const token = getVerificationToken(req);
+  return ['create', 'track'].some(purpose =>
+    matchesContact(readVerificationToken(token, purpose), complaint)
+  );
+};
+
+module.exports = {
+  buildComplaintScope,
+  findAccessibleComplaint,
+  isComplaintOwner,
+  readBearerUser,
+  resolveCustomerActor,
+  provesComplaintContact
+};
@@ -0,0 +1,53 @@
+const Complaint = require('../models/Complaint');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { contactFilter } = require('./complaintTracking');
+const { summarise } = require('./duplicates');
+
+/* ============================
+   CLAIM GUEST COMPLAINTS
+============================ */
+// Tickets filed with the verified phone / email that no account owns yet.
+// verification: decoded OTP token (purpose 'claim').
+const claimableFilter = (verification, complaintIds) => {
+  const filter = { $and: [contactFilter(verification), { userId: null }] };
+  if (Array.isArray(complaintIds) && complaintIds.length > 0) {
+    filter.$and.push({ complaintId: { $in: complaintIds.map(id => String(id).toUpperCase().trim()) } });
+  }
+  return filter;
+};
+
+const findClaimable = async (verification) => {
+  const complaints = await Complaint.find(claimableFilter(verification))
+    .select('complaintId type issueType status createdAt')
+    .sort({ createdAt: -1 });
+  return complaints.map(summarise);
+};
+
+// Links the tickets (all claimable ones, or only complaintIds) to the user.
+// Resolves to the ticket numbers actually claimed.
+const claimComplaints = async (user, verification, complaintIds) => {
+  const filter = claimableFilter(verification, complaintIds);
+  const candidates = await Complaint.find(filter).select('_id complaintId');
+  if (candidates.length === 0) return [];
+
+  const ids = candidates.map(complaint => complaint._id);
+  await Complaint.updateMany(
+    // Still unowned: a parallel claim may have won
+    { _id: { $in: ids }, userId: null },
+    {
+      $set: { userId: user.id },
+      $push: {
+        history: buildHistoryEntry({
+          action: 'claimed',
+          actor: user,
+          remark: `Linked to account after ${verification.channel === 'sms' ? 'phone' : 'email'} verification`
+        })
+      }
+    }
+  );
+
+  const claimed = await Complaint.find({ _id: { $in: ids }, userId: user.id }).select('complaintId');
+  return claimed.map(complaint => complaint.complaintId);
+};
+
+module.exports = { findClaimable, claimComplaints };
@@ -0,0 +1,33 @@
+/* ============================
+   COMPLAINT HISTORY HELPERS
+============================ */
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+// Lists the fields in `updates` whose value differs from the current document
+const diffChanges = (current, updates) =>
+  Object.keys(updates)
+    .filter(field => !sameValue(current.get ? current.get(field) : current[field], updates[field]))
+    .map(field => ({
+      field,
+      from: (current.get ? current.get(field) : current[field]) ?? null,
+      to: updates[field] ?? null
+    }));
+
+const buildHistoryEntry = ({ action, actor, changes = [], remark }) => ({
+  action,
+  actor: {
+    username: actor?.username,
+    role: actor?.role
+  },
+  changes,
+  remark,
+  at: new Date()
+});
+
+module.exports = { diffChanges, buildHistoryEntry };
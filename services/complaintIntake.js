@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const Complaint = require('../models/Complaint');
+const Counter = require('../models/Counter');
+const notificationConfig = require('../config/notifications');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { computeDueAt, getTargetHours } = require('./slaService');
+const { autoAssign } = require('./assignment');
+const { notifyCustomer, sendSms } = require('./notifications');
+const { mergePreferences } = require('./notifications/preferences');
+const { emitComplaintEvent } = require('./webhooks');
+const { phoneVariants } = require('./otp');
+
+const AUTO_ASSIGN_ON_CREATE = process.env.AUTO_ASSIGN_ON_CREATE === 'true';
+
+const newTrackingToken = () => crypto.randomBytes(24).toString('hex');
+
+/* ============================
+   CREATE COMPLAINT
+============================ */
+const nextComplaintId = async (isService) => {
+  const prefix = isService ? 'WSR' : 'WCR';
+  const year = new Date().getFullYear();
+  const counterKey = isService ? `serviceId-${year}` : `complaintId-${year}`;
+
+  let counter = await Counter.findById(counterKey);
+  if (!counter) counter = await Counter.create({ _id: counterKey, seq: 1000 });
+
+  counter.seq += 1;
+  await counter.save();
+
+  return `${prefix}-${year}-${counter.seq}`;
+};
+
+// Shared by the web form and message intake. fields are the validated form
+// values; options: { actor, owner, source, attachments, possibleDuplicateOf,
+// preferences }, where owner is the logged-in customer filing it (if any).
+// Resolves to { complaint, trackingToken } (the token is not selected on reloads).
+const createComplaint = async (fields, options = {}) => {
+  const {
+    actor = { username: fields.customerName, role: 'public' },
+    owner,
+    source = 'web',
+    attachments = [],
+    possibleDuplicateOf,
+    preferences = {}
+  } = options;
+
+  const isService = fields.type === 'Service Request';
+  const complaintType = isService ? 'Service Request' : 'Complaint';
+  const { customerName, phone, email, city, address, issueType, description } = fields;
+
+  // Returning customers keep the choices they made last time unless they change them
+  const previous = await Complaint.findOne({ phone: { $in: phoneVariants(phone) } })
+    .sort({ createdAt: -1 })
+    .select('notificationPreferences');
+
+  const complaint = new Complaint({
+    complaintId: await nextComplaintId(isService),
+    type: complaintType,
+    customerName, phone, email, city, address, issueType, description,
+    userId: owner?.id,
+    language: fields.language === 'hi' ? 'hi' : 'en',
+    source,
+    notificationPreferences: mergePreferences(previous?.notificationPreferences, preferences),
+    attachments,
+    possibleDuplicateOf,
+    trackingToken: newTrackingToken(),
+    dueAt: computeDueAt(complaintType, issueType),
+    sla: { targetHours: getTargetHours(complaintType, issueType) },
+    history: [
+      buildHistoryEntry({
+        action: 'created',
+        actor,
+        remark: source === 'web' ? undefined : `Registered via ${source}`
+      })
+    ]
+  });
+
+  let saved = await complaint.save();
+  emitComplaintEvent('complaint.created', saved);
+
+  if (AUTO_ASSIGN_ON_CREATE) {
+    try {
+      saved = (await autoAssign(saved, { username: 'system', role: 'system' })) || saved;
+    } catch (assignErr) {
+      console.error('Auto-assign failed:', assignErr.message);
+    }
+  }
+
+  // Acknowledgement
+  notifyCustomer(saved, 'acknowledgement', { complaint: saved }, 'complaint.created');
+
+  // Admin SMS (Optional)
+  if (notificationConfig.adminSmsNumber) {
+    sendSms(
+      notificationConfig.adminSmsNumber,
+      `New ${saved.type} created. ID: ${saved.complaintId}`,
+      { complaint: saved._id, event: 'complaint.created' }
+    );
+  }
+
+  return { complaint: saved, trackingToken: complaint.trackingToken };
+};
+
+module.exports = { newTrackingToken, createComplaint };
@@ -0,0 +1,144 @@
+/* ============================
+   COMPLAINT LIFECYCLE
+============================ */
+// Pending → Scheduled → In Progress → Resolved → Closed,
+// with Reopened (after resolution) and Cancelled (before it) as side paths.
+
+const STATUSES = ['Pending', 'Scheduled', 'In Progress', 'Resolved', 'Closed', 'Reopened', 'Cancelled'];
+
+// Statuses in which the ticket is no longer being worked on (SLA clock stops)
+const CLOSED_STATUSES = ['Resolved', 'Closed', 'Cancelled'];
+
+const STAFF = ['admin', 'engineer'];
+const FIELD_STAFF = ['admin', 'engineer', 'technician'];
+
+// from -> to -> roles allowed to make that move
+const TRANSITIONS = {
+  'Pending': {
+    'Scheduled': STAFF,
+    'In Progress': FIELD_STAFF,
+    'Cancelled': STAFF
+  },
+  'Scheduled': {
+    'In Progress': FIELD_STAFF,
+    'Pending': STAFF,
+    'Cancelled': STAFF
+  },
+  'In Progress': {
+    'Scheduled': FIELD_STAFF,
+    'Resolved': FIELD_STAFF
+  },
+  'Resolved': {
+    'Closed': STAFF,
+    'Reopened': [...STAFF, 'customer']
+  },
+  'Reopened': {
+    'Scheduled': STAFF,
+    'In Progress': FIELD_STAFF,
+    'Cancelled': STAFF
+  },
+  'Closed': {
+    'Reopened': ['admin']
+  },
+  'Cancelled': {
+    'Reopened': ['admin']
+  }
+};
+
+// Fields that must accompany a move into the given status.
+// Moving back to Scheduled from active work counts as a reschedule.
+const requiredFieldsFor = (from, to) => {
+  if (to === 'Scheduled' && from === 'In Progress') return ['rescheduleReason'];
+  if (to === 'Resolved' || to === 'Cancelled' || to === 'Reopened') return ['remark'];
+  return [];
+};
+
+// Technicians are assigned only through POST /:id/assign, which records the
+// reason, the assignment and notifies them
+const ASSIGNMENT_FIELDS = ['assignedTechnician', 'assignedTechnicianPhone'];
+
+const EDITABLE_FIELDS = {
+  admin: [
+    'status', 'remark', 'rescheduleReason',
+    'type', 'customerName', 'phone', 'email', 'city', 'address', 'issueType', 'description'
+  ],
+  engineer: [
+    'status', 'remark', 'rescheduleReason',
+    'city', 'address', 'issueType', 'description'
+  ],
+  technician: ['status', 'remark', 'rescheduleReason']
+};
+
+const isOpenStatus = (status) => !CLOSED_STATUSES.includes(status);
+
+const canTransition = (role, from, to) =>
+  Boolean(TRANSITIONS[from]?.[to]?.includes(role));
+
+const allowedTransitions = (role, from) =>
+  Object.keys(TRANSITIONS[from] || {}).filter(to => canTransition(role, from, to));
+
+// Validates a status move. Returns null when allowed, otherwise
+// { status, message, ... } ready to be sent as the HTTP error.
+const validateTransition = (role, from, to, payload = {}) => {
+  if (!STATUSES.includes(to)) {
+    return { status: 422, message: `Unknown status '${to}'`, allowedStatuses: STATUSES };
+  }
+
+  if (!canTransition(role, from, to)) {
+    return {
+      status: 409,
+      message: `Cannot move complaint from '${from}' to '${to}'`,
+      allowedTransitions: allowedTransitions(role, from)
+    };
+  }
+
+  const missing = requiredFieldsFor(from, to).filter(
+    field => !payload[field] || !String(payload[field]).trim()
+  );
+  if (missing.length > 0) {
+    return {
+      status: 422,
+      message: `Moving to '${to}' requires: ${missing.join(', ')}`,
+      missingFields: missing
+    };
+  }
+
+  return null;
+};
+
+// Validates a PATCH body for the caller's role (field whitelist + transition)
+const validateUpdate = (role, current, updates) => {
+  const editable = EDITABLE_FIELDS[role] || [];
+  const forbidden = Object.keys(updates).filter(field => !editable.includes(field));
+  if (forbidden.some(field => ASSIGNMENT_FIELDS.includes(field))) {
+    return {
+      status: 403,
+      message: 'Assign technicians with POST /api/complaints/:id/assign',
+      forbiddenFields: forbidden
+    };
+  }
+  if (forbidden.length > 0) {
+    return {
+      status: 403,
+      message: `Role '${role}' cannot edit: ${forbidden.join(', ')}`,
+      forbiddenFields: forbidden
+    };
+  }
+
+  if (updates.status && updates.status !== current.status) {
+    return validateTransition(role, current.status, updates.status, updates);
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  CLOSED_STATUSES,
+  EDITABLE_FIELDS,
+  isOpenStatus,
+  canTransition,
+  allowedTransitions,
+  validateTransition,
+  validateUpdate
+};
@@ -0,0 +1,121 @@
+const Complaint = require('../models/Complaint');
+const { STATUSES } = require('./complaintLifecycle');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  updated: { updatedAt: -1 },
+  // Tickets without an SLA deadline last (see findComplaintList)
+  urgency: { noDueAt: 1, dueAt: 1, createdAt: 1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b" or ["a","b"] -> ['a', 'b']
+const toList = (value) =>
+  []
+    .concat(value)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const parseDate = (value, endOfDay) => {
+  // Plain dates cover the whole day
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`
+    : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/* ============================
+   LIST FILTERS
+============================ */
+// Turns GET /api/complaints query params into a Mongo filter.
+// Returns { filter } or { error } for invalid input.
+const buildListFilter = (query) => {
+  const conditions = [];
+
+  if (query.status) {
+    const statuses = toList(query.status);
+    const unknown = statuses.filter(s => !STATUSES.includes(s));
+    if (unknown.length > 0) return { error: `Unknown status: ${unknown.join(', ')}` };
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  ['type', 'city', 'issueType', 'assignedTechnician'].forEach(field => {
+    if (query[field]) conditions.push({ [field]: { $in: toList(query[field]) } });
+  });
+
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) {
+      createdAt.$gte = parseDate(query.from, false);
+      if (!createdAt.$gte) return { error: 'Invalid from date' };
+    }
+    if (query.to) {
+      createdAt.$lte = parseDate(query.to, true);
+      if (!createdAt.$lte) return { error: 'Invalid to date' };
+    }
+    conditions.push({ createdAt });
+  }
+
+  // Repeated params (?search=a&search=b) arrive as arrays
+  if (query.search !== undefined && typeof query.search !== 'string') {
+    return { error: 'search must be given once' };
+  }
+  const search = query.search?.trim();
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    conditions.push({
+      $or: [
+        { customerName: pattern },
+        { complaintId: pattern },
+        { description: pattern }
+      ]
+    });
+  }
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+/* ============================
+   PAGINATION & SORT
+============================ */
+// Lists stay plain arrays (all matches) unless the caller asks for a page
+const isPaged = (query) => query.page !== undefined || query.limit !== undefined;
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const parseSort = (sort) => SORTS[sort] || SORTS.newest;
+
+// Complaints for the list endpoints (without history), sorted by name.
+// Mongo puts a missing dueAt first in ascending order, so urgency runs as an
+// aggregate over a computed noDueAt key; the results are hydrated back into
+// documents. $match does not cast, hence the explicit cast of the filter.
+const findComplaintList = async (filter, sort, { skip = 0, limit } = {}) => {
+  if (sort !== 'urgency') {
+    const query = Complaint.find(filter).select('-history').sort(parseSort(sort)).skip(skip);
+    return limit ? query.limit(limit) : query;
+  }
+
+  const hidden = { history: 0, trackingToken: 0 };
+  const rows = await Complaint.aggregate([
+    { $match: Complaint.find().cast(Complaint, filter) },
+    { $project: hidden },
+    { $addFields: { noDueAt: { $cond: [{ $eq: [{ $type: '$dueAt' }, 'date'] }, 0, 1] } } },
+    { $sort: SORTS.urgency },
+    { $skip: skip },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { noDueAt: 0 } }
+  ]);
+  return rows.map(row => Complaint.hydrate(row, hidden));
+};
+
+module.exports = { escapeRegex, buildListFilter, isPaged, parsePagination, parseSort, findComplaintList };
@@ -0,0 +1,53 @@
+const Complaint = require('../models/Complaint');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { computeDueAt, getTargetHours } = require('./slaService');
+const { notifyCustomer } = require('./notifications');
+const { emitComplaintEvent } = require('./webhooks');
+
+const REOPEN_WINDOW_DAYS = Number(process.env.REOPEN_WINDOW_DAYS) || 7;
+
+/* ============================
+   REOPEN
+============================ */
+const isWithinReopenWindow = (complaint, now = new Date()) => {
+  const resolvedAt = complaint.resolvedAt || complaint.updatedAt;
+  return now.getTime() <= resolvedAt.getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Moves a resolved (or, for admins, closed) ticket to Reopened with a fresh
+// SLA window and tells the customer. Callers validate the transition and, for
+// customers, the window first. Staff edits made in the same PATCH come in as
+// `fields`, with `changes` recording all of them.
+const reopenComplaint = async (complaint, actor, reason, { fields = {}, changes } = {}) => {
+  const now = new Date();
+  const { type = complaint.type, issueType = complaint.issueType } = fields;
+  const updated = await Complaint.findByIdAndUpdate(
+    complaint._id,
+    {
+      $set: {
+        ...fields,
+        status: 'Reopened',
+        remark: reason,
+        dueAt: computeDueAt(type, issueType, now),
+        'sla.targetHours': getTargetHours(type, issueType),
+        'sla.escalationLevel': 0
+      },
+      $unset: { 'sla.breachedAt': 1, 'sla.escalatedAt': 1 },
+      $push: {
+        history: buildHistoryEntry({
+          action: 'reopened',
+          actor,
+          changes: changes || [{ field: 'status', from: complaint.status, to: 'Reopened' }],
+          remark: reason
+        })
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  notifyCustomer(updated, 'reopened', { complaint: updated, reason }, 'complaint.reopened');
+  emitComplaintEvent('complaint.reopened', updated, { from: complaint.status, reason });
+  return updated;
+};
+
+module.exports = { REOPEN_WINDOW_DAYS, isWithinReopenWindow, reopenComplaint };
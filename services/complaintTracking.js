@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const { phoneVariants, matchesContact } = require('./otp');
+
+/* ============================
+   PUBLIC TRACKING LOOKUP
+============================ */
+// Complaints filed with the phone / email an OTP verification proved
+const contactFilter = (verification) =>
+  verification.channel === 'sms'
+    ? { phone: { $in: phoneVariants(verification.target) } }
+    : { email: verification.target };
+
+// What an unverified ticket ID lookup may see
+const TRACK_SUMMARY_FIELDS = [
+  'complaintId', 'type', 'city', 'issueType', 'status',
+  'scheduledStart', 'scheduledEnd', 'dueAt', 'resolvedAt', 'createdAt', 'updatedAt'
+];
+
+// query: ticket ID / ObjectId / phone / email (optional with a verification).
+// verification: decoded OTP token ({ channel, target }) or null.
+// Resolves to { complaints } or { status, message, otpRequired }. Complaints
+// are loaded with +trackingToken so callers can check ownership.
+const findTrackedComplaints = async (query, verification) => {
+  // Search by Ticket ID
+  if (query) {
+    const byTicket = await Complaint.find({ complaintId: query.toUpperCase() }).select('+trackingToken');
+    if (byTicket.length > 0) return { complaints: byTicket };
+  }
+
+  // Search by ObjectId (optional robustness)
+  if (query && mongoose.Types.ObjectId.isValid(query)) {
+    const byId = await Complaint.find({ _id: query }).select('+trackingToken');
+    if (byId.length > 0) return { complaints: byId };
+  }
+
+  // Search by Phone / Email (verified owner only)
+  if (!verification) {
+    return {
+      status: 401,
+      message: 'Verify your phone number or email with an OTP to track by it',
+      otpRequired: true
+    };
+  }
+  if (query && !matchesContact(verification, { phone: query, email: query })) {
+    return {
+      status: 403,
+      message: 'Query does not match the verified phone number or email',
+      otpRequired: true
+    };
+  }
+
+  const complaints = await Complaint.find(contactFilter(verification)).select('+trackingToken').sort({ createdAt: -1 });
+  return { complaints };
+};
+
+// Sensitivity filter: never the technician phone, history or token; personal
+// details only for the verified owner
+const toTrackView = (complaint, isOwner) => {
+  const { trackingToken, assignedTechnicianPhone, history, ...obj } = complaint.toObject();
+  if (isOwner) return obj;
+
+  return {
+    ...Object.fromEntries(TRACK_SUMMARY_FIELDS.map(field => [field, obj[field]])),
+    detailsHidden: true
+  };
+};
+
+module.exports = { TRACK_SUMMARY_FIELDS, contactFilter, findTrackedComplaints, toTrackView };
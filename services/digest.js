@@ -0,0 +1,197 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const digestConfig = require('../config/digest');
+const notificationConfig = require('../config/notifications');
+const { CLOSED_STATUSES } = require('./complaintLifecycle');
+const { agendaWindow } = require('./scheduling');
+const { notifyUser } = require('./notifications');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const DIGEST_ROLES = ['admin', 'engineer', 'technician'];
+const ITEM_FIELDS = 'complaintId type customerName city issueType status assignedTechnician createdAt dueAt scheduledStart';
+
+const istDay = (date) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/* ============================
+   DIGEST CONTENT
+============================ */
+// Each section: [key, extra filter, sort]
+const staffSections = (now) => {
+  const today = agendaWindow(istDay(now));
+  return [
+    ['newTickets', { createdAt: { $gte: new Date(now.getTime() - DAY) } }, { createdAt: -1 }],
+    ['pending', { status: 'Pending' }, { createdAt: 1 }],
+    ['scheduledToday', { scheduledStart: { $gte: today.from, $lt: today.to } }, { scheduledStart: 1 }],
+    ['overdue', { dueAt: { $lte: now } }, { dueAt: 1 }],
+    ['longUnresolved', { createdAt: { $lte: new Date(now.getTime() - digestConfig.staleDays * DAY) } }, { createdAt: 1 }]
+  ];
+};
+
+// Open-ticket summary for one scope (a city, or every city for admins)
+const buildStaffDigest = async (city, now = new Date()) => {
+  const open = { status: { $nin: CLOSED_STATUSES } };
+  if (city) open.city = city;
+
+  const sections = {};
+  const totals = {};
+  for (const [key, filter, sort] of staffSections(now)) {
+    // New tickets include ones already closed today; everything else is open only
+    const query = key === 'newTickets' ? { ...filter, ...(city && { city }) } : { ...open, ...filter };
+    const [items, total] = await Promise.all([
+      Complaint.find(query).select(ITEM_FIELDS).sort(sort).limit(digestConfig.maxItems).lean(),
+      Complaint.countDocuments(query)
+    ]);
+    sections[key] = items;
+    totals[key] = total;
+  }
+
+  // Admins get a per-city breakdown of the open queue
+  const byCity = city
+    ? null
+    : await Complaint.aggregate([
+      { $match: open },
+      {
+        $group: {
+          _id: '$city',
+          open: { $sum: 1 },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'Pending'] }, 1, 0] } },
+          overdue: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: [{ $type: '$dueAt' }, 'date'] }, { $lte: ['$dueAt', now] }] }, 1, 0]
+            }
+          }
+        }
+      },
+      { $sort: { open: -1 } },
+      { $project: { _id: 0, city: '$_id', open: 1, pending: 1, overdue: 1 } }
+    ]);
+
+  return {
+    city: city || null,
+    date: now,
+    staleDays: digestConfig.staleDays,
+    sections,
+    totals,
+    byCity,
+    isEmpty: Object.values(totals).every(total => total === 0)
+  };
+};
+
+// A technician's own open tickets, today's visits first
+const buildTechnicianDigest = async (username, now = new Date()) => {
+  const today = agendaWindow(istDay(now));
+  const tickets = await Complaint.find({
+    assignedTechnician: username,
+    status: { $nin: CLOSED_STATUSES }
+  })
+    .select(`${ITEM_FIELDS} phone address`)
+    .sort({ scheduledStart: 1, dueAt: 1 })
+    .lean();
+
+  const isToday = c => c.scheduledStart >= today.from && c.scheduledStart < today.to;
+
+  return {
+    date: now,
+    today: tickets.filter(isToday),
+    others: tickets.filter(c => !isToday(c)),
+    totals: {
+      open: tickets.length,
+      scheduledToday: tickets.filter(isToday).length,
+      overdue: tickets.filter(c => c.dueAt && c.dueAt <= now).length
+    },
+    isEmpty: tickets.length === 0
+  };
+};
+
+/* ============================
+   SEND
+============================ */
+// options: { now, roles, username, dryRun }. dryRun builds the digests
+// without queueing any email.
+const runDigest = async ({ now = new Date(), roles = DIGEST_ROLES, username, dryRun = false } = {}) => {
+  const recipients = await User.find({
+    role: { $in: roles.filter(role => DIGEST_ROLES.includes(role)) },
+    isApproved: true,
+    suspendedAt: null,
+    email: { $nin: [null, ''] },
+    ...(username && { username })
+  }).select('username name email role city language notificationPreferences');
+
+  // Staff digests only depend on the scope, so build each city once
+  const staffCache = new Map();
+  const staffDigestFor = (city) => {
+    if (!staffCache.has(city)) staffCache.set(city, buildStaffDigest(city, now));
+    return staffCache.get(city);
+  };
+
+  const dashboardLink = `${notificationConfig.frontendUrl}/dashboard`;
+  const results = [];
+
+  for (const user of recipients) {
+    const isTechnician = user.role === 'technician';
+    const digest = isTechnician
+      ? await buildTechnicianDigest(user.username, now)
+      : await staffDigestFor(user.role === 'engineer' ? user.city || null : null);
+
+    const template = isTechnician ? 'technicianDigest' : 'dailyDigest';
+    const result = { username: user.username, role: user.role, template, totals: digest.totals };
+
+    if (digest.isEmpty) {
+      results.push({ ...result, skipped: 'Nothing to report' });
+      continue;
+    }
+
+    if (!dryRun) {
+      notifyUser(user, template, { ...digest, recipient: user, dashboardLink }, { event: 'digest.daily' });
+    }
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    sent: dryRun ? 0 : results.filter(r => !r.skipped).length,
+    skipped: results.filter(r => r.skipped).length,
+    recipients: results
+  };
+};
+
+/* ============================
+   SCHEDULER
+============================ */
+// Next DIGEST_TIME (IST) strictly after `now`
+const nextRunAt = (now = new Date()) => {
+  const [hours, minutes] = digestConfig.time.split(':').map(Number);
+  const at = new Date(agendaWindow(istDay(now)).from.getTime() + (hours * 60 + minutes) * MINUTE);
+  return at > now ? at : new Date(at.getTime() + DAY);
+};
+
+const startDigestScheduler = () => {
+  if (!digestConfig.enabled) return null;
+
+  let timer;
+  const schedule = () => {
+    const at = nextRunAt();
+    timer = setTimeout(async () => {
+      try {
+        const { sent, skipped } = await runDigest();
+        console.log(`Daily digest: ${sent} sent, ${skipped} skipped`);
+      } catch (err) {
+        console.error('Daily digest failed:', err.message);
+      }
+      schedule();
+    }, at.getTime() - Date.now());
+  };
+
+  schedule();
+  return { stop: () => clearTimeout(timer) };
+};
+
+module.exports = {
+  DIGEST_ROLES,
+  buildStaffDigest,
+  buildTechnicianDigest,
+  runDigest,
+  nextRunAt,
+  startDigestScheduler
+};
@@ -0,0 +1,110 @@
+const Complaint = require('../models/Complaint');
+const Comment = require('../models/Comment');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { CLOSED_STATUSES } = require('./complaintLifecycle');
+const { phoneVariants } = require('./otp');
+
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS ?? 72);
+
+// Fields safe to echo back to an unauthenticated submitter
+const summarise = (complaint) => ({
+  _id: complaint._id,
+  complaintId: complaint.complaintId,
+  type: complaint.type,
+  issueType: complaint.issueType,
+  status: complaint.status,
+  createdAt: complaint.createdAt
+});
+
+/* ============================
+   DETECTION
+============================ */
+// Most recent open ticket for the same phone/email and issue type inside the
+// window. Any spelling of the number matches, so an SMS from +91… finds the
+// web form's 10-digit entry.
+const findOpenDuplicate = async ({ phone, email, issueType }) => {
+  if (!DUPLICATE_WINDOW_HOURS) return null;
+
+  const contacts = [{ phone: { $in: phoneVariants(phone) } }];
+  if (email) contacts.push({ email: email.toLowerCase().trim() });
+
+  return Complaint.findOne({
+    issueType,
+    status: { $nin: CLOSED_STATUSES },
+    mergedInto: { $exists: false },
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000) },
+    $or: contacts
+  })
+    .select('-history')
+    .sort({ createdAt: -1 });
+};
+
+// Records a repeat submission (and any new files) on the existing ticket
+const linkSubmission = (existing, { description, attachments, actor }) =>
+  Complaint.findByIdAndUpdate(
+    existing._id,
+    {
+      $push: {
+        attachments: { $each: attachments },
+        history: buildHistoryEntry({
+          action: 'duplicate_submission',
+          actor,
+          remark: description
+        })
+      }
+    },
+    { new: true }
+  );
+
+/* ============================
+   MERGE
+============================ */
+// Folds each duplicate into the primary ticket: comments and attachments move
+// over, the duplicate is closed with a pointer to the primary, and both
+// sides get a history entry so nothing is lost.
+const mergeComplaints = async (primary, duplicates, actor) => {
+  for (const duplicate of duplicates) {
+    await Comment.updateMany({ complaint: duplicate._id }, { $set: { complaint: primary._id } });
+
+    await Complaint.updateOne(
+      { _id: duplicate._id },
+      {
+        $set: { status: 'Closed', mergedInto: primary._id, attachments: [] },
+        $push: {
+          history: buildHistoryEntry({
+            action: 'merged_into',
+            actor,
+            changes: [
+              { field: 'status', from: duplicate.status, to: 'Closed' },
+              { field: 'mergedInto', from: null, to: primary.complaintId }
+            ],
+            remark: `Merged into ${primary.complaintId}`
+          })
+        }
+      }
+    );
+
+    await Complaint.updateOne(
+      { _id: primary._id },
+      {
+        $addToSet: { mergedFrom: duplicate.complaintId },
+        $push: {
+          attachments: { $each: duplicate.attachments.map(a => a.toObject()) },
+          history: buildHistoryEntry({
+            action: 'merged',
+            actor,
+            changes: [{ field: 'mergedFrom', from: null, to: duplicate.complaintId }],
+            remark: [
+              `Merged ${duplicate.complaintId} (${duplicate.status}, opened ${duplicate.createdAt.toISOString()})`,
+              duplicate.description
+            ].filter(Boolean).join(': ')
+          })
+        }
+      }
+    );
+  }
+
+  return Complaint.findById(primary._id);
+};
+
+module.exports = { summarise, findOpenDuplicate, linkSubmission, mergeComplaints };
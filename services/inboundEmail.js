@@ -0,0 +1,173 @@
+const { simpleParser } = require('mailparser');
+const Complaint = require('../models/Complaint');
+const Comment = require('../models/Comment');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { validateTransition } = require('./complaintLifecycle');
+const { isWithinReopenWindow, reopenComplaint } = require('./complaintReopen');
+const { storeUploads, removeStored } = require('./attachments');
+const { ALLOWED_MIME_TYPES, MAX_BYTES, MAX_FILES } = require('../middleware/upload');
+
+/* ============================
+   INBOUND EMAIL REPLIES
+============================ */
+// Outgoing subjects carry the ticket ID ("Update on Ticket WCR-2025-1001 ..."),
+// which survives the "Re:" prefix customers' mail clients add.
+const TICKET_PATTERN = /\b(W[CS]R-\d{4}-\d+)\b/i;
+
+// Lines at which the quoted original message starts
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/i,
+  /^.+ने लिखा:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{5,}\s*$/,
+  /^From:\s/i
+];
+
+const extractTicketId = (subject = '') => subject.match(TICKET_PATTERN)?.[1].toUpperCase() || null;
+
+// Keeps only what the customer typed above the quoted thread
+const stripQuotedReply = (text = '') => {
+  const kept = [];
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    if (QUOTE_MARKERS.some(marker => marker.test(line.trim()))) break;
+    if (line.trim().startsWith('>')) continue;
+    kept.push(line);
+  }
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// mailparser attachments -> the multer-shaped files storeUploads expects,
+// applying the same limits as the upload middleware
+const toUploads = (attachments = []) => {
+  const files = [];
+  const skipped = [];
+  for (const a of attachments) {
+    const name = a.filename || 'attachment';
+    if (a.related && !a.filename) continue; // inline signature images etc.
+    if (!ALLOWED_MIME_TYPES.includes(a.contentType)) {
+      skipped.push({ name, reason: `File type not allowed: ${a.contentType}` });
+    } else if (a.size > MAX_BYTES) {
+      skipped.push({ name, reason: `File exceeds ${MAX_BYTES} bytes` });
+    } else if (files.length >= MAX_FILES) {
+      skipped.push({ name, reason: `More than ${MAX_FILES} files` });
+    } else {
+      files.push({ buffer: a.content, originalname: name, mimetype: a.contentType, size: a.size });
+    }
+  }
+  return { files, skipped };
+};
+
+// Parses a raw MIME message without touching the database
+const parseInboundEmail = async (raw) => {
+  const mail = await simpleParser(raw);
+  const from = mail.from?.value?.[0]?.address?.toLowerCase() || null;
+  const { files, skipped } = toUploads(mail.attachments);
+
+  return {
+    from,
+    subject: mail.subject || '',
+    ticketId: extractTicketId(mail.subject),
+    messageId: mail.messageId || null,
+    body: stripQuotedReply(mail.text || ''),
+    files,
+    skipped
+  };
+};
+
+// The ticket a merged duplicate now lives on (the ticket itself if not merged)
+const findMergeTarget = async (complaint) => {
+  let target = complaint;
+  const seen = new Set([String(complaint._id)]);
+  while (target.mergedInto && !seen.has(String(target.mergedInto))) {
+    const primary = await Complaint.findById(target.mergedInto);
+    if (!primary) break;
+    seen.add(String(primary._id));
+    target = primary;
+  }
+  return target;
+};
+
+// Resolves to { status: 'accepted' | 'ignored', reason?, ... }. Ignored mail is
+// not an error: the webhook still answers 200 so the provider does not retry.
+const processInboundEmail = async (raw) => {
+  const parsed = await parseInboundEmail(raw);
+
+  if (!parsed.ticketId) return { status: 'ignored', reason: 'No ticket ID in subject' };
+  if (!parsed.from) return { status: 'ignored', reason: 'Missing sender address' };
+
+  const addressed = await Complaint.findOne({ complaintId: parsed.ticketId });
+  if (!addressed) return { status: 'ignored', reason: `Unknown ticket ${parsed.ticketId}` };
+
+  // Only the address the complaint was filed with may post to it
+  if (!addressed.email || addressed.email.toLowerCase() !== parsed.from) {
+    return { status: 'ignored', reason: 'Sender does not match the complaint email' };
+  }
+
+  // Replies to a duplicate belong on the ticket it was merged into
+  const complaint = await findMergeTarget(addressed);
+
+  if (!parsed.body && parsed.files.length === 0) {
+    return { status: 'ignored', reason: 'Empty reply' };
+  }
+
+  const actor = { username: parsed.from, role: 'customer' };
+  let attachments = [];
+  let comment = null;
+
+  try {
+    if (parsed.body) {
+      comment = await Comment.create({
+        complaint: complaint._id,
+        author: actor,
+        body: parsed.body.slice(0, 5000),
+        visibility: 'customer',
+        source: 'email'
+      });
+    }
+
+    if (parsed.files.length > 0) {
+      attachments = await storeUploads(parsed.files, actor);
+      await Complaint.findByIdAndUpdate(
+        complaint._id,
+        {
+          $push: {
+            attachments: { $each: attachments },
+            history: buildHistoryEntry({
+              action: 'attachment_added',
+              actor,
+              changes: attachments.map(a => ({ field: 'attachments', from: null, to: a.originalName })),
+              remark: 'Received by email'
+            })
+          }
+        },
+        { runValidators: true }
+      );
+    }
+  } catch (err) {
+    await removeStored(attachments);
+    throw err;
+  }
+
+  // A reply to a resolved ticket means the problem is back
+  let reopened = false;
+  const reason = 'Customer replied by email';
+  if (
+    !validateTransition('customer', complaint.status, 'Reopened', { remark: reason }) &&
+    isWithinReopenWindow(complaint)
+  ) {
+    await reopenComplaint(complaint, actor, reason);
+    reopened = true;
+  }
+
+  return {
+    status: 'accepted',
+    complaintId: complaint.complaintId,
+    ...(complaint !== addressed && { mergedFrom: addressed.complaintId }),
+    comment: comment?._id || null,
+    attachments: attachments.map(a => a.originalName),
+    skippedAttachments: parsed.skipped,
+    reopened
+  };
+};
+
+module.exports = { extractTicketId, stripQuotedReply, parseInboundEmail, processInboundEmail };
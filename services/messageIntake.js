@@ -0,0 +1,201 @@
+const Conversation = require('../models/Conversation');
+const City = require('../models/City');
+const { findCityByName } = require('./assignment');
+const { createComplaint } = require('./complaintIntake');
+const { findOpenDuplicate, linkSubmission } = require('./duplicates');
+const { findTrackedComplaints } = require('./complaintTracking');
+const { isOpenStatus } = require('./complaintLifecycle');
+const { extractTicketId } = require('./inboundEmail');
+const { statusLabel, formatDateTime } = require('./notifications/templates/labels');
+
+const CONVERSATION_TTL_HOURS = Number(process.env.CONVERSATION_TTL_HOURS) || 24;
+const MAX_STATUS_TICKETS = 3;
+
+/* ============================
+   REPLY TEXTS
+============================ */
+const TEXT = {
+  en: {
+    welcome: 'Welcome to WattOrbit support. Let\'s register your complaint. Reply CANCEL at any time to stop, or STATUS <ticket ID> to check a ticket.',
+    name: 'What is your name?',
+    city: 'Which city are you in?',
+    unknownCity: (city, cities) => `Sorry, we do not serve "${city}" yet. Please reply with one of: ${cities}`,
+    issueType: 'What is the problem? (e.g. inverter not charging, battery backup, solar panel)',
+    description: 'Please describe the issue and your address or a landmark so our technician can find you.',
+    tooShort: 'Please send a little more detail.',
+    created: (id) => `Thank you! Your complaint ${id} has been registered. Reply STATUS ${id} for updates.`,
+    linked: (id) => `You already have an open ticket ${id} for this issue. We have added your message to it.`,
+    cancelled: 'Okay, cancelled. Message us any time to register a complaint.',
+    notFound: (id) => `We could not find ticket ${id}. Please check the ID.`,
+    noTickets: 'We could not find any tickets for this number.',
+    visit: 'visit'
+  },
+  hi: {
+    welcome: 'WattOrbit सहायता में आपका स्वागत है। आइए आपकी शिकायत दर्ज करें। रोकने के लिए कभी भी CANCEL लिखें, या टिकट देखने के लिए STATUS <टिकट आईडी> भेजें।',
+    name: 'आपका नाम क्या है?',
+    city: 'आप किस शहर में हैं?',
+    unknownCity: (city, cities) => `क्षमा करें, हम अभी "${city}" में सेवा नहीं देते। कृपया इनमें से एक भेजें: ${cities}`,
+    issueType: 'समस्या क्या है? (जैसे इन्वर्टर चार्ज नहीं हो रहा, बैटरी बैकअप, सोलर पैनल)',
+    description: 'कृपया समस्या और अपना पता या कोई निशानी बताएं ताकि तकनीशियन आप तक पहुँच सके।',
+    tooShort: 'कृपया थोड़ा और विवरण भेजें।',
+    created: (id) => `धन्यवाद! आपकी शिकायत ${id} दर्ज हो गई है। अपडेट के लिए STATUS ${id} भेजें।`,
+    linked: (id) => `इस समस्या के लिए आपका टिकट ${id} पहले से खुला है। हमने आपका संदेश उसमें जोड़ दिया है।`,
+    cancelled: 'ठीक है, रद्द कर दिया गया। शिकायत दर्ज करने के लिए कभी भी संदेश भेजें।',
+    notFound: (id) => `टिकट ${id} नहीं मिला। कृपया आईडी जांचें।`,
+    noTickets: 'इस नंबर के लिए कोई टिकट नहीं मिला।',
+    visit: 'विज़िट'
+  }
+};
+
+const STATUS_KEYWORDS = /^(STATUS|स्थिति)\b/i;
+const CANCEL_KEYWORDS = /^(CANCEL|रद्द)$/i;
+
+const detectLanguage = (text) => (/[\u0900-\u097F]/.test(text) ? 'hi' : 'en');
+
+/* ============================
+   STATUS QUERIES
+============================ */
+// Same lookup as GET /api/complaints/track; the sender's number counts as
+// verified, since the carrier / WhatsApp delivered the message from it
+const statusReply = async (text, from, lang) => {
+  const t = TEXT[lang];
+  const ticketId = extractTicketId(text);
+  const result = await findTrackedComplaints(ticketId, { channel: 'sms', target: from });
+  if (result.status) return t.noTickets;
+
+  let complaints = result.complaints;
+  if (ticketId && complaints.length === 0) return t.notFound(ticketId);
+  if (complaints.length === 0) return t.noTickets;
+
+  // Without a ticket ID, the sender's open tickets come first
+  if (!ticketId) {
+    complaints = [
+      ...complaints.filter(c => isOpenStatus(c.status)),
+      ...complaints.filter(c => !isOpenStatus(c.status))
+    ].slice(0, MAX_STATUS_TICKETS);
+  }
+
+  return complaints
+    .map(c => {
+      const visit = c.scheduledStart && isOpenStatus(c.status)
+        ? ` (${t.visit}: ${formatDateTime(c.scheduledStart, lang)})`
+        : '';
+      return `${c.complaintId}: ${statusLabel(c.status, lang)}${visit}`;
+    })
+    .join('\n');
+};
+
+/* ============================
+   GUIDED REGISTRATION
+============================ */
+const cityList = async () => (await City.find().select('name').sort({ name: 1 })).map(c => c.name).join(', ');
+
+const nextStep = (data) => {
+  if (!data.customerName) return 'name';
+  if (!data.city) return 'city';
+  if (!data.issueType) return 'issueType';
+  return 'description';
+};
+
+const finish = async (conversation, description) => {
+  const { channel, from, language } = conversation;
+  const { customerName, city, issueType } = conversation.data;
+  const actor = { username: customerName, role: 'public' };
+
+  const duplicate = await findOpenDuplicate({ phone: from, issueType });
+  if (duplicate) {
+    await linkSubmission(duplicate, { description, attachments: [], actor });
+    return TEXT[language].linked(duplicate.complaintId);
+  }
+
+  const { complaint } = await createComplaint(
+    { customerName, phone: from, city, issueType, description, language },
+    {
+      actor,
+      source: channel,
+      // They chose to talk to us on this channel, so updates go there too
+      preferences: { channels: { [channel]: true } }
+    }
+  );
+  return TEXT[language].created(complaint.complaintId);
+};
+
+// Applies one answer; resolves to the reply text
+const advance = async (conversation, text) => {
+  const t = TEXT[conversation.language];
+  const data = conversation.data;
+
+  switch (conversation.step) {
+    case 'name':
+      if (text.length < 2) return t.tooShort;
+      data.customerName = text.slice(0, 100);
+      break;
+
+    case 'city': {
+      // Only cities we serve when the list is configured
+      const city = await findCityByName(text);
+      if (city) {
+        data.city = city.name;
+      } else {
+        const cities = await cityList();
+        if (cities) return t.unknownCity(text, cities);
+        data.city = text.slice(0, 100);
+      }
+      break;
+    }
+
+    case 'issueType':
+      if (text.length < 3) return t.tooShort;
+      data.issueType = text.slice(0, 100);
+      break;
+
+    case 'description': {
+      if (text.length < 5) return t.tooShort;
+      const reply = await finish(conversation, text.slice(0, 2000));
+      await conversation.deleteOne();
+      return reply;
+    }
+  }
+
+  conversation.step = nextStep(data);
+  conversation.expiresAt = new Date(Date.now() + CONVERSATION_TTL_HOURS * 60 * 60 * 1000);
+  await conversation.save();
+  return t[conversation.step];
+};
+
+/* ============================
+   ENTRY POINT
+============================ */
+// message: { channel: 'sms' | 'whatsapp', from (E.164), body, profileName? }
+// Resolves to the text to send back
+const handleInboundMessage = async ({ channel, from, body, profileName }) => {
+  const text = String(body || '').trim();
+  let conversation = await Conversation.findOne({ channel, from });
+  const lang = conversation?.language || detectLanguage(text);
+
+  if (STATUS_KEYWORDS.test(text)) return statusReply(text, from, lang);
+
+  if (CANCEL_KEYWORDS.test(text)) {
+    if (conversation) await conversation.deleteOne();
+    return TEXT[lang].cancelled;
+  }
+
+  // Any other first message starts a registration
+  if (!conversation) {
+    const data = { customerName: profileName?.trim().slice(0, 100) || undefined };
+    conversation = await Conversation.create({
+      channel,
+      from,
+      language: lang,
+      data,
+      step: nextStep(data),
+      expiresAt: new Date(Date.now() + CONVERSATION_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return `${TEXT[lang].welcome}\n${TEXT[lang][conversation.step]}`;
+  }
+
+  if (!text) return TEXT[lang][conversation.step];
+  return advance(conversation, text);
+};
+
+module.exports = { handleInboundMessage };
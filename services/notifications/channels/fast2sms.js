@@ -0,0 +1,24 @@
+const axios = require('axios');
+
+/* ============================
+   FAST2SMS (SMS)
+============================ */
+const send = async ({ to, text }) => {
+  const { data } = await axios.get('https://www.fast2sms.com/dev/bulkV2', {
+    params: {
+      authorization: process.env.FAST2SMS_API_KEY,
+      route: 'q',
+      message: text,
+      // Fast2SMS expects bare 10-digit Indian numbers
+      numbers: String(to).replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '')
+    },
+    timeout: 10000
+  });
+
+  if (data && data.return === false) {
+    throw new Error(`Fast2SMS rejected message: ${[].concat(data.message).join(', ')}`);
+  }
+  return { provider: 'fast2sms', id: data?.request_id };
+};
+
+module.exports = { name: 'fast2sms', channels: ['sms'], send };
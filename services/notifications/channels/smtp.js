@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+const config = require('../../../config/notifications');
+
+/* ============================
+   SMTP (EMAIL)
+============================ */
+// 465 = SSL (secure: true), 587/25 = STARTTLS (secure: false)
+const isSecure = Number(process.env.SMTP_PORT) === 465;
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT),
+  secure: isSecure,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
+// Verify connection configuration
+transporter.verify((err) => {
+  if (err) {
+    console.error('SMTP VERIFY FAILED:', err.message);
+  } else {
+    console.log(`SMTP SERVER READY (Secure: ${isSecure})`);
+  }
+});
+
+const send = async ({ to, subject, html, text, replyTo, attachments }) => {
+  const info = await transporter.sendMail({
+    from: config.email.from,
+    replyTo: replyTo || config.email.replyTo,
+    to,
+    subject,
+    html,
+    text,
+    attachments
+  });
+  return { provider: 'smtp', id: info.messageId };
+};
+
+module.exports = { name: 'smtp', channels: ['email'], send };
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const config = require('../../../config/notifications');
+
+/* ============================
+   STUB (DEVELOPMENT & TESTS)
+============================ */
+// Nothing leaves the machine. Messages are logged, kept in `outbox` for
+// inspection, and appended as JSON lines to NOTIFICATION_STUB_FILE if set.
+const outbox = [];
+let counter = 0;
+
+const send = async (message) => {
+  const entry = { id: `stub-${++counter}`, at: new Date().toISOString(), ...message };
+  outbox.push(entry);
+
+  console.log(`[notify:stub] ${message.channel} -> ${message.to}: ${message.subject || message.text}`);
+  if (config.stubFile) {
+    await fs.promises.appendFile(config.stubFile, `${JSON.stringify(entry)}\n`);
+  }
+
+  return { provider: 'stub', id: entry.id };
+};
+
+module.exports = { name: 'stub', channels: ['email', 'sms', 'whatsapp'], send, outbox };
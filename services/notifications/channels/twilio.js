@@ -0,0 +1,22 @@
+const twilio = require('twilio');
+
+/* ============================
+   TWILIO (SMS & WHATSAPP)
+============================ */
+const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+const send = async ({ channel, to, text }) => {
+  const isWhatsApp = channel === 'whatsapp';
+  const from = isWhatsApp
+    ? `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`
+    : process.env.TWILIO_SMS_FROM;
+
+  const message = await client.messages.create({
+    from,
+    to: isWhatsApp ? `whatsapp:${to}` : to,
+    body: text
+  });
+  return { provider: 'twilio', id: message.sid };
+};
+
+module.exports = { name: 'twilio', channels: ['sms', 'whatsapp'], send };
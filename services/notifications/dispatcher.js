@@ -0,0 +1,49 @@
+const config = require('../../config/notifications');
+
+/* ============================
+   CHANNEL DISPATCH
+============================ */
+// Hands a single message to the adapter configured for its channel.
+// Only the queue worker calls this; routes go through ./index.js.
+
+// Loaded lazily so unused providers need no credentials
+const adapters = {
+  smtp: () => require('./channels/smtp'),
+  fast2sms: () => require('./channels/fast2sms'),
+  twilio: () => require('./channels/twilio'),
+  stub: () => require('./channels/stub')
+};
+
+const CHANNELS = Object.keys(config.providers);
+
+const getAdapter = (channel) => {
+  const name = config.providers[channel];
+  const load = adapters[name];
+  if (!load) throw new Error(`Unknown ${channel} provider '${name}'`);
+
+  const adapter = load();
+  if (!adapter.channels.includes(channel)) {
+    throw new Error(`Provider '${name}' cannot send ${channel}`);
+  }
+  return adapter;
+};
+
+// 98765 43210 / 098765... / +91 98765... -> +919876543210
+const toE164 = (phone) => {
+  const digits = String(phone).replace(/\D/g, '').replace(/^0+/, '');
+  if (String(phone).trim().startsWith('+')) return `+${digits}`;
+  return digits.length === 10 ? `+${config.defaultCountryCode}${digits}` : `+${digits}`;
+};
+
+// message: { channel, to, subject?, html?, text?, replyTo?, attachments? }
+// Resolves to { provider, id }. Throws when delivery fails.
+const deliver = async (message) => {
+  const { channel, to } = message;
+  if (!CHANNELS.includes(channel)) throw new Error(`Unknown channel '${channel}'`);
+  if (!to) throw new Error('Recipient missing');
+
+  const recipient = channel === 'email' ? to : toE164(to);
+  return getAdapter(channel).send({ ...message, to: recipient });
+};
+
+module.exports = { CHANNELS, toE164, deliver };
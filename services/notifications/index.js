@@ -0,0 +1,101 @@
+const Notification = require('../../models/Notification');
+const config = require('../../config/notifications');
+const { CHANNELS, toE164 } = require('./dispatcher');
+const { processQueue } = require('./worker');
+const { isAllowed, signPreferencesToken } = require('./preferences');
+const templates = require('./templates');
+
+/* ============================
+   NOTIFICATION SERVICE
+============================ */
+// Single entry point for every outbound message. Routes call notify() (or the
+// helpers below); the message is persisted to the queue and delivered by the
+// worker with retries.
+
+// message: { channel, to, subject?, html?, text?, replyTo? }
+// meta:    { complaint?, event?, preferences? } – when preferences are given
+//          and do not allow this channel/event the message is recorded as
+//          "suppressed" instead of being queued.
+// Never throws; resolves to the stored document (or null).
+const notify = async (message, meta = {}) => {
+  if (!message.to) return null;
+  try {
+    const allowed = !meta.preferences || isAllowed(meta.preferences, message.channel, meta.event);
+
+    const notification = await Notification.create({
+      ...message,
+      complaint: meta.complaint,
+      event: meta.event,
+      status: allowed ? 'queued' : 'suppressed',
+      maxAttempts: config.queue.maxAttempts
+    });
+
+    // Deliver right away instead of waiting for the next poll
+    if (allowed) setImmediate(processQueue);
+    return notification;
+  } catch (err) {
+    console.error(`Notification enqueue failed (${message.channel}, ${meta.event || 'no event'}):`, err.message);
+    return null;
+  }
+};
+
+const sendEmail = (to, subject, html, meta = {}) =>
+  notify({ channel: 'email', to, subject, html, text: meta.text }, meta);
+
+// Renders a registered template in the recipient's language and queues it
+const sendTemplate = (to, name, data, meta = {}) => {
+  if (!to) return null;
+  const { subject, html, text } = templates.render(name, data, meta.language);
+  return notify({ channel: 'email', to, subject, html, text }, meta);
+};
+
+const sendSms = (to, text, meta = {}) => notify({ channel: 'sms', to, text }, meta);
+
+const sendWhatsApp = (to, text, meta = {}) => notify({ channel: 'whatsapp', to, text }, meta);
+
+/* ============================
+   RECIPIENT HELPERS
+============================ */
+const preferencesLink = (kind, id) =>
+  `${config.frontendUrl}/preferences/${signPreferencesToken(kind, id)}`;
+
+// Email + (if the template has an SMS text) SMS / WhatsApp to the complainant,
+// each filtered by the complaint's notification preferences
+const notifyCustomer = (complaint, name, data, event) => {
+  const meta = {
+    complaint: complaint._id,
+    event,
+    language: complaint.language,
+    preferences: complaint.notificationPreferences
+  };
+  const payload = { ...data, preferencesLink: preferencesLink('c', complaint._id) };
+
+  sendTemplate(complaint.email, name, payload, meta);
+
+  const sms = templates.renderSms(name, payload, complaint.language);
+  if (sms && complaint.phone) {
+    sendSms(complaint.phone, sms, meta);
+    sendWhatsApp(complaint.phone, sms, meta);
+  }
+};
+
+// Email to a registered user (staff or customer account), honoring their preferences
+const notifyUser = (user, name, data, meta = {}) =>
+  sendTemplate(
+    user.email,
+    name,
+    { ...data, preferencesLink: preferencesLink('u', user._id) },
+    { ...meta, language: user.language, preferences: user.notificationPreferences }
+  );
+
+module.exports = {
+  CHANNELS,
+  toE164,
+  notify,
+  sendEmail,
+  sendTemplate,
+  sendSms,
+  sendWhatsApp,
+  notifyCustomer,
+  notifyUser
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/* ============================
+   NOTIFICATION PREFERENCES
+============================ */
+// event name -> preference category. "essential" messages (ticket
+// acknowledgement, account security, staff work items) ignore category
+// opt-outs but still respect the channel switches.
+const EVENT_CATEGORIES = {
+  'complaint.created': 'essential',
+  'complaint.assigned': 'essential',
+  'sla.escalated': 'essential',
+  'digest.daily': 'essential',
+  'auth.password_reset': 'essential',
+  'auth.otp': 'essential',
+  'auth.account_status': 'essential',
+  'organisation.invite': 'essential',
+  'complaint.status_changed': 'statusUpdates',
+  'complaint.reopened': 'statusUpdates',
+  'appointment.booked': 'appointments',
+  'appointment.rescheduled': 'appointments',
+  'comment.reply': 'comments'
+};
+
+const categoryFor = (event) => {
+  if (event?.startsWith('promo.')) return 'promotional';
+  return EVENT_CATEGORIES[event] || 'essential';
+};
+
+// prefs: notificationPreferences subdocument (or plain object); missing = defaults
+const isAllowed = (prefs, channel, event) => {
+  const category = categoryFor(event);
+  const channels = prefs?.channels || {};
+  const events = prefs?.events || {};
+
+  const channelOn = channels[channel] ?? channel === 'email';
+  if (!channelOn) return false;
+
+  if (category === 'essential') return true;
+  if (category === 'promotional') return events.promotional === true;
+  return events[category] !== false;
+};
+
+// Keeps only known boolean keys from client input (object or JSON string,
+// since multipart complaint forms send it as a string)
+const sanitisePreferences = (input = {}) => {
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      input = {};
+    }
+  }
+
+  const pick = (source, keys) =>
+    Object.fromEntries(
+      keys.filter(key => typeof source?.[key] === 'boolean').map(key => [key, source[key]])
+    );
+
+  return {
+    channels: pick(input.channels, ['email', 'sms', 'whatsapp']),
+    events: pick(input.events, ['statusUpdates', 'appointments', 'comments', 'promotional'])
+  };
+};
+
+// Applies sanitised changes on top of existing preferences (subdoc or plain object)
+const mergePreferences = (current, changes) => {
+  const base = current?.toObject ? current.toObject() : current || {};
+  return {
+    channels: { ...base.channels, ...changes.channels },
+    events: { ...base.events, ...changes.events },
+    updatedAt: new Date()
+  };
+};
+
+/* ============================
+   SIGNED PREFERENCE LINKS
+============================ */
+// Token format: <kind>.<id>.<signature>, kind = "c" (complaint) or "u" (user).
+// No expiry: unsubscribe links in old emails must keep working.
+const secret = () => process.env.PREFERENCES_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+
+const signPreferencesToken = (kind, id) => `${kind}.${id}.${sign(`${kind}.${id}`)}`;
+
+const readPreferencesToken = (token) => {
+  const [kind, id, signature] = String(token).split('.');
+  if (!['c', 'u'].includes(kind) || !id || !signature) return null;
+
+  const expected = sign(`${kind}.${id}`);
+  if (signature.length !== expected.length) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+
+  return { kind, id };
+};
+
+module.exports = {
+  categoryFor,
+  isAllowed,
+  sanitisePreferences,
+  mergePreferences,
+  signPreferencesToken,
+  readPreferencesToken
+};
@@ -0,0 +1,54 @@
+const { html } = require('./html');
+
+const SUBJECTS = {
+  en: {
+    rejected: 'Your WattOrbit registration was not approved',
+    suspended: 'Your WattOrbit account has been suspended',
+    reactivated: 'Your WattOrbit account is active again',
+    deleted: 'Your WattOrbit account has been deleted'
+  },
+  hi: {
+    rejected: 'आपका WattOrbit पंजीकरण स्वीकृत नहीं हुआ',
+    suspended: 'आपका WattOrbit खाता निलंबित कर दिया गया है',
+    reactivated: 'आपका WattOrbit खाता फिर से सक्रिय है',
+    deleted: 'आपका WattOrbit खाता हटा दिया गया है'
+  }
+};
+
+const MESSAGES = {
+  en: {
+    rejected: 'An administrator reviewed your registration and did not approve it.',
+    suspended: 'An administrator has suspended your account. You cannot log in until it is reactivated.',
+    reactivated: 'Your account has been reactivated. You can log in again.',
+    deleted: 'Your account and login have been removed. Complaints you filed are kept and can still be tracked with their ticket number.'
+  },
+  hi: {
+    rejected: 'एक व्यवस्थापक ने आपके पंजीकरण की समीक्षा की और उसे स्वीकृत नहीं किया।',
+    suspended: 'एक व्यवस्थापक ने आपका खाता निलंबित कर दिया है। पुनः सक्रिय होने तक आप लॉग इन नहीं कर सकते।',
+    reactivated: 'आपका खाता फिर से सक्रिय कर दिया गया है। आप दोबारा लॉग इन कर सकते हैं।',
+    deleted: 'आपका खाता और लॉगिन हटा दिए गए हैं। आपकी दर्ज शिकायतें सुरक्षित हैं और टिकट नंबर से देखी जा सकती हैं।'
+  }
+};
+
+// data: { user, action: 'rejected' | 'suspended' | 'reactivated' | 'deleted', reason? }
+module.exports = {
+  description: 'User: registration rejected / account suspended, reactivated or deleted',
+  en: {
+    subject: ({ action }) => SUBJECTS.en[action],
+    body: ({ user, action, reason }) => html`
+      <p>Hello ${user.name || user.username},</p>
+      <p>${MESSAGES.en[action]}</p>
+      ${reason && html`<p><b>Reason:</b> ${reason}</p>`}
+      <p>If you have questions, please contact WattOrbit support.</p>
+    `
+  },
+  hi: {
+    subject: ({ action }) => SUBJECTS.hi[action],
+    body: ({ user, action, reason }) => html`
+      <p>नमस्ते ${user.name || user.username},</p>
+      <p>${MESSAGES.hi[action]}</p>
+      ${reason && html`<p><b>कारण:</b> ${reason}</p>`}
+      <p>किसी भी प्रश्न के लिए कृपया WattOrbit सहायता से संपर्क करें।</p>
+    `
+  }
+};
@@ -0,0 +1,32 @@
+const { html } = require('./html');
+const { typeLabel } = require('./labels');
+
+module.exports = {
+  description: 'Customer: complaint / service request registered',
+  en: {
+    subject: ({ complaint }) => `Complaint Registered – ${complaint.complaintId}`,
+    body: ({ complaint }) => html`
+      <p>Dear ${complaint.customerName},</p>
+      <p>Your <b>${complaint.type}</b> has been successfully registered.</p>
+      <p>
+        <b>Ticket ID:</b> ${complaint.complaintId}<br/>
+        <b>City:</b> ${complaint.city}<br/>
+        <b>Issue:</b> ${complaint.issueType}
+      </p>
+      <p>Our support team will contact you shortly.</p>
+    `
+  },
+  hi: {
+    subject: ({ complaint }) => `शिकायत दर्ज – ${complaint.complaintId}`,
+    body: ({ complaint }) => html`
+      <p>प्रिय ${complaint.customerName},</p>
+      <p>आपका <b>${typeLabel(complaint.type, 'hi')}</b> सफलतापूर्वक दर्ज कर लिया गया है।</p>
+      <p>
+        <b>टिकट आईडी:</b> ${complaint.complaintId}<br/>
+        <b>शहर:</b> ${complaint.city}<br/>
+        <b>समस्या:</b> ${complaint.issueType}
+      </p>
+      <p>हमारी सहायता टीम शीघ्र ही आपसे संपर्क करेगी।</p>
+    `
+  }
+};
@@ -0,0 +1,45 @@
+const { html } = require('./html');
+const { formatDateTime, THANKS } = require('./labels');
+
+// data: { complaint, isReschedule, start, end, technician, reason? }
+module.exports = {
+  description: 'Customer: technician visit booked or rescheduled',
+  en: {
+    subject: ({ complaint, isReschedule }) =>
+      `${isReschedule ? 'Visit Rescheduled' : 'Visit Scheduled'} – ${complaint.complaintId}`,
+    sms: ({ complaint, isReschedule, start, technician }) =>
+      `WattOrbit: Technician visit for ${complaint.complaintId} ${isReschedule ? 'rescheduled to' : 'scheduled on'} ${formatDateTime(start, 'en')} (${technician}).`,
+    body: ({ complaint, isReschedule, start, end, technician, reason }) => html`
+      <p>Dear ${complaint.customerName},</p>
+      <p>${isReschedule
+        ? html`The technician visit for your ticket <b>${complaint.complaintId}</b> has been rescheduled.`
+        : html`A technician visit has been scheduled for your ticket <b>${complaint.complaintId}</b>.`}</p>
+      <p>
+        <b>From:</b> ${formatDateTime(start, 'en')}<br/>
+        <b>To:</b> ${formatDateTime(end, 'en')}<br/>
+        <b>Technician:</b> ${technician}<br/>
+        ${isReschedule && html`<b>Reason:</b> ${reason}<br/>`}
+      </p>
+      <p>${THANKS.en}</p>
+    `
+  },
+  hi: {
+    subject: ({ complaint, isReschedule }) =>
+      `${isReschedule ? 'विज़िट का समय बदला गया' : 'विज़िट निर्धारित'} – ${complaint.complaintId}`,
+    sms: ({ complaint, start, technician }) =>
+      `WattOrbit: ${complaint.complaintId} के लिए तकनीशियन विज़िट ${formatDateTime(start, 'hi')} (${technician})।`,
+    body: ({ complaint, isReschedule, start, end, technician, reason }) => html`
+      <p>प्रिय ${complaint.customerName},</p>
+      <p>${isReschedule
+        ? html`आपके टिकट <b>${complaint.complaintId}</b> के लिए तकनीशियन विज़िट का समय बदल दिया गया है।`
+        : html`आपके टिकट <b>${complaint.complaintId}</b> के लिए तकनीशियन विज़िट निर्धारित की गई है।`}</p>
+      <p>
+        <b>से:</b> ${formatDateTime(start, 'hi')}<br/>
+        <b>तक:</b> ${formatDateTime(end, 'hi')}<br/>
+        <b>तकनीशियन:</b> ${technician}<br/>
+        ${isReschedule && html`<b>कारण:</b> ${reason}<br/>`}
+      </p>
+      <p>${THANKS.hi}</p>
+    `
+  }
+};
@@ -0,0 +1,30 @@
+const { html } = require('./html');
+
+// data: { complaint, technician }
+module.exports = {
+  description: 'Technician: new ticket assigned',
+  en: {
+    subject: ({ complaint }) => `New Assignment – ${complaint.complaintId}`,
+    body: ({ complaint, technician }) => html`
+      <p>Hello ${technician.name || technician.username},</p>
+      <p>You have been assigned ticket <b>${complaint.complaintId}</b>.</p>
+      <p>
+        <b>Issue:</b> ${complaint.issueType}<br/>
+        <b>City:</b> ${complaint.city}<br/>
+        <b>Address:</b> ${complaint.address || '-'}
+      </p>
+    `
+  },
+  hi: {
+    subject: ({ complaint }) => `नया कार्य – ${complaint.complaintId}`,
+    body: ({ complaint, technician }) => html`
+      <p>नमस्ते ${technician.name || technician.username},</p>
+      <p>आपको टिकट <b>${complaint.complaintId}</b> सौंपा गया है।</p>
+      <p>
+        <b>समस्या:</b> ${complaint.issueType}<br/>
+        <b>शहर:</b> ${complaint.city}<br/>
+        <b>पता:</b> ${complaint.address || '-'}
+      </p>
+    `
+  }
+};
@@ -0,0 +1,25 @@
+const { html } = require('./html');
+const { THANKS } = require('./labels');
+
+// data: { complaint, body }
+module.exports = {
+  description: 'Customer: staff posted a customer-visible reply',
+  en: {
+    subject: ({ complaint }) => `New reply on Ticket ${complaint.complaintId}`,
+    body: ({ complaint, body }) => html`
+      <p>Dear ${complaint.customerName},</p>
+      <p>Our team has replied on your ticket <b>${complaint.complaintId}</b>:</p>
+      <blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 12px; white-space: pre-line;">${body}</blockquote>
+      <p>${THANKS.en}</p>
+    `
+  },
+  hi: {
+    subject: ({ complaint }) => `टिकट ${complaint.complaintId} पर नया उत्तर`,
+    body: ({ complaint, body }) => html`
+      <p>प्रिय ${complaint.customerName},</p>
+      <p>हमारी टीम ने आपके टिकट <b>${complaint.complaintId}</b> पर उत्तर दिया है:</p>
+      <blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 12px; white-space: pre-line;">${body}</blockquote>
+      <p>${THANKS.hi}</p>
+    `
+  }
+};
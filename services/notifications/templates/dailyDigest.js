@@ -0,0 +1,62 @@
+const { html } = require('./html');
+const { statusLabel, formatDate, formatDateTime } = require('./labels');
+
+const SECTIONS = [
+  ['newTickets', { en: 'New in the last 24 hours', hi: 'पिछले 24 घंटों में नए' }],
+  ['pending', { en: 'Still pending', hi: 'अभी भी लंबित' }],
+  ['scheduledToday', { en: 'Visits scheduled today', hi: 'आज निर्धारित विज़िट' }],
+  ['overdue', { en: 'Past SLA deadline', hi: 'SLA समय-सीमा पार' }],
+  ['longUnresolved', { en: 'Open for more than {days} days', hi: '{days} दिनों से अधिक समय से खुले' }]
+];
+
+const TEXT = {
+  en: { none: 'None', more: 'more', unassigned: 'Unassigned', allCities: 'All cities', open: 'Open', pending: 'Pending', overdue: 'Overdue', city: 'City', dashboard: 'Open the dashboard' },
+  hi: { none: 'कोई नहीं', more: 'और', unassigned: 'कोई नहीं', allCities: 'सभी शहर', open: 'खुले', pending: 'लंबित', overdue: 'समय-सीमा पार', city: 'शहर', dashboard: 'डैशबोर्ड खोलें' }
+};
+
+const ticketList = (items, total, lang) => {
+  const t = TEXT[lang];
+  if (total === 0) return html`<p>${t.none}</p>`;
+  return html`
+    <ul>
+      ${items.map(c => html`<li><b>${c.complaintId}</b> – ${c.issueType} (${c.city}) – ${statusLabel(c.status, lang)} – ${c.assignedTechnician || t.unassigned}${c.scheduledStart && html` – ${formatDateTime(c.scheduledStart, lang)}`}</li>`)}
+    </ul>
+    ${total > items.length && html`<p>+ ${total - items.length} ${t.more}</p>`}
+  `;
+};
+
+const cityTable = (byCity, lang) => {
+  const t = TEXT[lang];
+  if (!byCity || byCity.length === 0) return null;
+  return html`
+    <table border="1" cellpadding="4" cellspacing="0">
+      <tr><th>${t.city}</th><th>${t.open}</th><th>${t.pending}</th><th>${t.overdue}</th></tr>
+      ${byCity.map(row => html`<tr><td>${row.city}</td><td>${row.open}</td><td>${row.pending}</td><td>${row.overdue}</td></tr>`)}
+    </table>
+  `;
+};
+
+const body = (lang, intro) => ({ recipient, city, sections, totals, byCity, staleDays, dashboardLink }) => html`
+  <p>${intro(recipient, city || TEXT[lang].allCities)}</p>
+  ${cityTable(byCity, lang)}
+  ${SECTIONS.map(([key, titles]) => html`
+    <h3>${titles[lang].replace('{days}', staleDays)} (${totals[key]})</h3>
+    ${ticketList(sections[key], totals[key], lang)}
+  `)}
+  ${dashboardLink && html`<p><a href="${dashboardLink}">${TEXT[lang].dashboard}</a></p>`}
+`;
+
+// data: { recipient, city, date, staleDays, sections, totals, byCity, dashboardLink }
+module.exports = {
+  description: 'Admin / engineer: daily summary of new, pending and overdue tickets',
+  en: {
+    subject: ({ city, date, totals }) =>
+      `Daily Digest ${city ? `(${city}) ` : ''}– ${formatDate(date, 'en')} – ${totals.pending} pending, ${totals.overdue} overdue`,
+    body: body('en', (recipient, scope) => html`Hello ${recipient?.name || recipient?.username}, here is today's ticket summary for <b>${scope}</b>.`)
+  },
+  hi: {
+    subject: ({ city, date, totals }) =>
+      `दैनिक सारांश ${city ? `(${city}) ` : ''}– ${formatDate(date, 'hi')} – ${totals.pending} लंबित, ${totals.overdue} समय-सीमा पार`,
+    body: body('hi', (recipient, scope) => html`नमस्ते ${recipient?.name || recipient?.username}, <b>${scope}</b> के टिकटों का आज का सारांश।`)
+  }
+};
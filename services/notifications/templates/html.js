@@ -0,0 +1,45 @@
+/* ============================
+   SAFE HTML HELPERS
+============================ */
+// html`...` escapes every interpolated value unless it is itself the result
+// of html`...` (or raw()). Templates never need to escape by hand.
+
+const SAFE = Symbol('safeHtml');
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ENTITIES[c]);
+
+const raw = (value) => ({ [SAFE]: true, value: String(value) });
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value[SAFE]) return value.value;
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) =>
+  raw(strings.reduce((out, str, i) => out + str + (i < values.length ? renderValue(values[i]) : ''), ''));
+
+const toHtmlString = (value) => renderValue(value);
+
+// Plain-text fallback derived from the rendered HTML
+const htmlToText = (markup) =>
+  markup
+    .replace(/<br\s*\/?>\s*/gi, '\n')
+    .replace(/<\/(p|div|h\d|li|tr|blockquote)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+module.exports = { html, raw, escapeHtml, toHtmlString, htmlToText };
@@ -0,0 +1,78 @@
+const { toHtmlString, htmlToText } = require('./html');
+const { FOOTER, MANAGE_PREFERENCES } = require('./labels');
+const { html: safeHtml } = require('./html');
+const { sampleData } = require('./sample');
+
+/* ============================
+   TEMPLATE REGISTRY
+============================ */
+// Each template exports { description, en: { subject, body, sms? }, hi: { ... } }.
+// body() returns html`...` so every interpolated value is escaped; the
+// plain-text part is derived from the rendered HTML. sms() is the short text
+// used for SMS / WhatsApp when the template supports those channels.
+
+const TEMPLATES = {
+  acknowledgement: require('./acknowledgement'),
+  statusChange: require('./statusChange'),
+  assignment: require('./assignment'),
+  appointment: require('./appointment'),
+  reopened: require('./reopened'),
+  commentReply: require('./commentReply'),
+  slaEscalation: require('./slaEscalation'),
+  dailyDigest: require('./dailyDigest'),
+  technicianDigest: require('./technicianDigest'),
+  passwordReset: require('./passwordReset'),
+  accountStatus: require('./accountStatus'),
+  organisationInvite: require('./organisationInvite'),
+  otp: require('./otp')
+};
+
+const LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const listTemplates = () =>
+  Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    languages: LANGUAGES.filter(lang => template[lang])
+  }));
+
+// Resolves to { subject, html, text, language }. Unknown languages fall back to English.
+const render = (name, data, lang = DEFAULT_LANGUAGE) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown template '${name}'`);
+
+  const language = template[lang] ? lang : DEFAULT_LANGUAGE;
+  const variant = template[language];
+
+  const body = toHtmlString(variant.body(data)).trim();
+  const footer = toHtmlString(safeHtml`
+<p style="color: gray; font-size: 12px;">
+  ${FOOTER[language]}
+  ${data.preferencesLink && safeHtml`<br/><a href="${data.preferencesLink}">${MANAGE_PREFERENCES[language]}</a>`}
+</p>`);
+  const html = `${body}\n${footer.trim()}`;
+
+  return {
+    subject: variant.subject(data),
+    html,
+    text: htmlToText(html),
+    language
+  };
+};
+
+// Short SMS / WhatsApp text, or null when the template has no sms variant
+const renderSms = (name, data, lang = DEFAULT_LANGUAGE) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown template '${name}'`);
+
+  const variant = template[lang]?.sms ? template[lang] : template[DEFAULT_LANGUAGE];
+  return variant.sms ? variant.sms(data) : null;
+};
+
+const renderSample = (name, lang, complaint) => {
+  if (!TEMPLATES[name]) throw new Error(`Unknown template '${name}'`);
+  return render(name, sampleData(name, complaint), lang);
+};
+
+module.exports = { TEMPLATES, LANGUAGES, DEFAULT_LANGUAGE, listTemplates, render, renderSms, renderSample };
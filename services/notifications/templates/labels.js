@@ -0,0 +1,54 @@
+/* ============================
+   SHARED LABELS (EN / HI)
+============================ */
+const STATUS_LABELS = {
+  hi: {
+    'Pending': 'लंबित',
+    'Scheduled': 'निर्धारित',
+    'In Progress': 'प्रगति पर',
+    'Resolved': 'समाधान हो गया',
+    'Closed': 'बंद',
+    'Reopened': 'पुनः खोला गया',
+    'Cancelled': 'रद्द'
+  }
+};
+
+const TYPE_LABELS = {
+  hi: {
+    'Complaint': 'शिकायत',
+    'Service Request': 'सेवा अनुरोध'
+  }
+};
+
+const statusLabel = (status, lang) => STATUS_LABELS[lang]?.[status] || status;
+const typeLabel = (type, lang) => TYPE_LABELS[lang]?.[type] || type;
+
+const formatDateTime = (date, lang) =>
+  new Date(date).toLocaleString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+const formatDate = (date, lang) =>
+  new Date(date).toLocaleDateString(lang === 'hi' ? 'hi-IN' : 'en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium'
+  });
+
+const FOOTER = {
+  en: 'This is an automated message. Replies to an email about a ticket are added to that ticket.',
+  hi: 'यह एक स्वचालित संदेश है। किसी टिकट से जुड़े ईमेल का उत्तर उसी टिकट में जोड़ दिया जाता है।'
+};
+
+const MANAGE_PREFERENCES = {
+  en: 'Manage notification preferences or unsubscribe',
+  hi: 'सूचना प्राथमिकताएँ बदलें या सदस्यता समाप्त करें'
+};
+
+const THANKS = {
+  en: 'Thank you for choosing WattOrbit.',
+  hi: 'WattOrbit चुनने के लिए धन्यवाद।'
+};
+
+module.exports = { statusLabel, typeLabel, formatDateTime, formatDate, FOOTER, MANAGE_PREFERENCES, THANKS };
@@ -0,0 +1,31 @@
+const { html } = require('./html');
+const { formatDate } = require('./labels');
+
+// data: { organisation, invitedBy, acceptLink, expiresAt }
+module.exports = {
+  description: 'Member: invitation to join an organisation',
+  en: {
+    subject: ({ organisation }) => `You're invited to join ${organisation.name} on WattOrbit`,
+    sms: ({ organisation, acceptLink, expiresAt }) =>
+      `WattOrbit: ${organisation.name} invited you to join them. Accept by ${formatDate(expiresAt, 'en')}: ${acceptLink}`,
+    body: ({ organisation, invitedBy, acceptLink, expiresAt }) => html`
+      <p>Hello,</p>
+      <p><b>${invitedBy}</b> invited you to join <b>${organisation.name}</b> on WattOrbit.
+        Members can file and follow complaints together with their organisation.</p>
+      <p><a href="${acceptLink}">Accept the invitation</a> (sign in or create an account) before ${formatDate(expiresAt, 'en')}.</p>
+      <p>If you were not expecting this, you can ignore this message.</p>
+    `
+  },
+  hi: {
+    subject: ({ organisation }) => `WattOrbit पर ${organisation.name} से जुड़ने का आमंत्रण`,
+    sms: ({ organisation, acceptLink, expiresAt }) =>
+      `WattOrbit: ${organisation.name} ने आपको जुड़ने के लिए आमंत्रित किया है। ${formatDate(expiresAt, 'hi')} तक स्वीकार करें: ${acceptLink}`,
+    body: ({ organisation, invitedBy, acceptLink, expiresAt }) => html`
+      <p>नमस्ते,</p>
+      <p><b>${invitedBy}</b> ने आपको WattOrbit पर <b>${organisation.name}</b> से जुड़ने के लिए आमंत्रित किया है।
+        सदस्य अपनी संस्था के साथ शिकायतें दर्ज कर सकते हैं और उनकी स्थिति देख सकते हैं।</p>
+      <p>${formatDate(expiresAt, 'hi')} से पहले <a href="${acceptLink}">आमंत्रण स्वीकार करें</a> (साइन इन करें या खाता बनाएं)।</p>
+      <p>यदि आपको इसकी अपेक्षा नहीं थी, तो इस संदेश को अनदेखा करें।</p>
+    `
+  }
+};
@@ -0,0 +1,33 @@
+const { html } = require('./html');
+
+const PURPOSE = {
+  en: { track: 'track your tickets', create: 'submit your complaint', claim: 'link your tickets to your account' },
+  hi: { track: 'अपने टिकट देखने', create: 'अपनी शिकायत दर्ज करने', claim: 'अपने टिकट अपने खाते से जोड़ने' }
+};
+
+// data: { code, purpose, ttlMinutes }
+module.exports = {
+  description: 'Customer: one-time verification code',
+  en: {
+    subject: () => 'Your WattOrbit verification code',
+    sms: ({ code, purpose, ttlMinutes }) =>
+      `WattOrbit: ${code} is your code to ${PURPOSE.en[purpose]}. Valid for ${ttlMinutes} minutes. Do not share it.`,
+    body: ({ code, purpose, ttlMinutes }) => html`
+      <p>Use this code to ${PURPOSE.en[purpose]}:</p>
+      <p style="font-size: 24px; letter-spacing: 4px;"><b>${code}</b></p>
+      <p>It is valid for ${ttlMinutes} minutes. Never share it with anyone, including WattOrbit staff.</p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `
+  },
+  hi: {
+    subject: () => 'आपका WattOrbit सत्यापन कोड',
+    sms: ({ code, purpose, ttlMinutes }) =>
+      `WattOrbit: ${PURPOSE.hi[purpose]} के लिए आपका कोड ${code} है। ${ttlMinutes} मिनट तक मान्य। इसे किसी से साझा न करें।`,
+    body: ({ code, purpose, ttlMinutes }) => html`
+      <p>${PURPOSE.hi[purpose]} के लिए यह कोड उपयोग करें:</p>
+      <p style="font-size: 24px; letter-spacing: 4px;"><b>${code}</b></p>
+      <p>यह ${ttlMinutes} मिनट तक मान्य है। इसे किसी के साथ साझा न करें, WattOrbit कर्मचारियों के साथ भी नहीं।</p>
+      <p>यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।</p>
+    `
+  }
+};
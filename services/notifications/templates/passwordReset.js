@@ -0,0 +1,24 @@
+const { html } = require('./html');
+
+// data: { user, resetToken }
+module.exports = {
+  description: 'User: password reset token',
+  en: {
+    subject: () => 'WattOrbit Password Reset',
+    body: ({ user, resetToken }) => html`
+      <p>Hello ${user.name || user.username},</p>
+      <p>Use the token below to reset your password. It is valid for 1 hour.</p>
+      <p><b>Reset Token:</b> <code>${resetToken}</code></p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `
+  },
+  hi: {
+    subject: () => 'WattOrbit पासवर्ड रीसेट',
+    body: ({ user, resetToken }) => html`
+      <p>नमस्ते ${user.name || user.username},</p>
+      <p>अपना पासवर्ड रीसेट करने के लिए नीचे दिए गए टोकन का उपयोग करें। यह 1 घंटे तक मान्य है।</p>
+      <p><b>रीसेट टोकन:</b> <code>${resetToken}</code></p>
+      <p>यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।</p>
+    `
+  }
+};
@@ -0,0 +1,22 @@
+const { html } = require('./html');
+
+// data: { complaint, reason }
+module.exports = {
+  description: 'Customer: ticket reopened after resolution',
+  en: {
+    subject: ({ complaint }) => `Ticket Reopened – ${complaint.complaintId}`,
+    body: ({ complaint, reason }) => html`
+      <p>Dear ${complaint.customerName},</p>
+      <p>Your ticket <b>${complaint.complaintId}</b> has been reopened and our team will follow up.</p>
+      <p><b>Reason:</b> ${reason}</p>
+    `
+  },
+  hi: {
+    subject: ({ complaint }) => `टिकट दोबारा खोला गया – ${complaint.complaintId}`,
+    body: ({ complaint, reason }) => html`
+      <p>प्रिय ${complaint.customerName},</p>
+      <p>आपका टिकट <b>${complaint.complaintId}</b> दोबारा खोल दिया गया है, हमारी टीम जल्द संपर्क करेगी।</p>
+      <p><b>कारण:</b> ${reason}</p>
+    `
+  }
+};
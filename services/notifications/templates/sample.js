@@ -0,0 +1,101 @@
+/* ============================
+   PREVIEW SAMPLE DATA
+============================ */
+// Used by the admin preview endpoint when no real complaint is given.
+// Includes markup in free-text fields to show that escaping works.
+
+const SAMPLE_COMPLAINT = {
+  complaintId: 'WCR-2025-1001',
+  type: 'Complaint',
+  customerName: 'Ramesh <Kumar>',
+  phone: '9876543210',
+  email: 'ramesh@example.com',
+  city: 'Lucknow',
+  address: '12, Hazratganj',
+  issueType: 'Inverter not charging',
+  description: 'Battery light blinks & unit beeps <every> minute',
+  status: 'In Progress',
+  assignedTechnician: 'suresh',
+  dueAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+};
+
+const sampleData = (name, complaint = SAMPLE_COMPLAINT) => {
+  const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const end = new Date(start.getTime() + 60 * 60 * 1000);
+
+  switch (name) {
+    case 'statusChange':
+      return {
+        complaint,
+        status: 'Resolved',
+        remark: 'Replaced faulty charge controller',
+        feedbackLink: `https://wattorbit.in/feedback/${complaint.complaintId}?token=sample`,
+        reopenWindowDays: 7
+      };
+    case 'assignment':
+      return { complaint, technician: { username: 'suresh', name: 'Suresh Yadav' } };
+    case 'appointment':
+      return {
+        complaint,
+        isReschedule: true,
+        start,
+        end,
+        technician: complaint.assignedTechnician || 'suresh',
+        reason: 'Customer unavailable'
+      };
+    case 'reopened':
+      return { complaint, reason: 'Issue came back after two days' };
+    case 'commentReply':
+      return { complaint, body: 'Could you share a photo of the meter?\nThanks!' };
+    case 'slaEscalation':
+      return { complaint, audience: 'engineer' };
+    case 'dailyDigest': {
+      const sections = {
+        newTickets: [complaint],
+        pending: [],
+        scheduledToday: [{ ...complaint, scheduledStart: start }],
+        overdue: [],
+        longUnresolved: []
+      };
+      return {
+        recipient: { username: 'anita', name: 'Anita Verma' },
+        city: complaint.city,
+        date: new Date(),
+        staleDays: 7,
+        sections,
+        totals: { newTickets: 3, pending: 0, scheduledToday: 1, overdue: 0, longUnresolved: 0 },
+        byCity: null,
+        dashboardLink: 'https://wattorbit.in/dashboard'
+      };
+    }
+    case 'technicianDigest':
+      return {
+        recipient: { username: 'suresh', name: 'Suresh Yadav' },
+        date: new Date(),
+        today: [{ ...complaint, scheduledStart: start }],
+        others: [],
+        totals: { open: 1, scheduledToday: 1, overdue: 0 }
+      };
+    case 'passwordReset':
+      return { user: { username: 'ramesh', name: 'Ramesh Kumar' }, resetToken: 'sample-token' };
+    case 'accountStatus':
+      return {
+        user: { username: 'ramesh', name: 'Ramesh Kumar' },
+        action: 'suspended',
+        reason: 'Repeated abusive messages to technicians'
+      };
+    case 'organisationInvite':
+      return {
+        organisation: { name: 'Gomti Nagar Residents Association' },
+        invitedBy: 'gnra-admin',
+        acceptLink: 'https://wattorbit.in/invite?token=sample-token',
+        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      };
+    case 'otp':
+      return { code: '482913', purpose: 'track', ttlMinutes: 10 };
+    default:
+      return { complaint };
+  }
+};
+
+module.exports = { SAMPLE_COMPLAINT, sampleData };
@@ -0,0 +1,37 @@
+const { html } = require('./html');
+const { formatDateTime } = require('./labels');
+
+// data: { complaint, audience }
+module.exports = {
+  description: 'Engineer / admin: ticket missed its SLA target',
+  en: {
+    subject: ({ complaint, audience }) => `SLA Breach – ${complaint.complaintId} (${audience})`,
+    body: ({ complaint }) => html`
+      <p>The following ticket has missed its resolution target.</p>
+      <p>
+        <b>Ticket ID:</b> ${complaint.complaintId}<br/>
+        <b>Type:</b> ${complaint.type}<br/>
+        <b>Issue:</b> ${complaint.issueType}<br/>
+        <b>City:</b> ${complaint.city}<br/>
+        <b>Status:</b> ${complaint.status}<br/>
+        <b>Assigned Technician:</b> ${complaint.assignedTechnician || 'Unassigned'}<br/>
+        <b>Due:</b> ${formatDateTime(complaint.dueAt, 'en')}
+      </p>
+    `
+  },
+  hi: {
+    subject: ({ complaint, audience }) => `SLA उल्लंघन – ${complaint.complaintId} (${audience})`,
+    body: ({ complaint }) => html`
+      <p>निम्नलिखित टिकट अपनी समाधान समय-सीमा से चूक गया है।</p>
+      <p>
+        <b>टिकट आईडी:</b> ${complaint.complaintId}<br/>
+        <b>प्रकार:</b> ${complaint.type}<br/>
+        <b>समस्या:</b> ${complaint.issueType}<br/>
+        <b>शहर:</b> ${complaint.city}<br/>
+        <b>स्थिति:</b> ${complaint.status}<br/>
+        <b>नियुक्त तकनीशियन:</b> ${complaint.assignedTechnician || 'कोई नहीं'}<br/>
+        <b>नियत समय:</b> ${formatDateTime(complaint.dueAt, 'hi')}
+      </p>
+    `
+  }
+};
@@ -0,0 +1,47 @@
+const { html } = require('./html');
+const { statusLabel, THANKS } = require('./labels');
+
+// data: { complaint, status, remark?, feedbackLink?, reopenWindowDays? }
+module.exports = {
+  description: 'Customer: ticket status updated (includes feedback link once resolved)',
+  en: {
+    subject: ({ complaint, status }) => `Update on Ticket ${complaint.complaintId} - Status: ${status}`,
+    sms: ({ complaint, status }) => `WattOrbit: Ticket ${complaint.complaintId} is now ${status}.`,
+    body: ({ complaint, status, remark, feedbackLink, reopenWindowDays }) => html`
+      <p>Dear ${complaint.customerName},</p>
+      <p>The status of your ticket <b>${complaint.complaintId}</b> has been updated.</p>
+      <p>
+        <b>New Status:</b> <span style="color: blue; font-weight: bold;">${status}</span><br>
+        ${complaint.assignedTechnician && html`<b>Assigned Technician:</b> ${complaint.assignedTechnician}<br>`}
+        ${remark && html`<b>Remark:</b> ${remark}<br>`}
+      </p>
+      ${feedbackLink && html`
+      <p>
+        How did we do? <a href="${feedbackLink}">Rate our service</a>.<br>
+        Not fixed? You can reopen this ticket from the same link within ${reopenWindowDays} days.
+      </p>`}
+      <p>${THANKS.en}</p>
+    `
+  },
+  hi: {
+    subject: ({ complaint, status }) =>
+      `टिकट ${complaint.complaintId} पर अपडेट - स्थिति: ${statusLabel(status, 'hi')}`,
+    sms: ({ complaint, status }) =>
+      `WattOrbit: टिकट ${complaint.complaintId} की स्थिति अब ${statusLabel(status, 'hi')} है।`,
+    body: ({ complaint, status, remark, feedbackLink, reopenWindowDays }) => html`
+      <p>प्रिय ${complaint.customerName},</p>
+      <p>आपके टिकट <b>${complaint.complaintId}</b> की स्थिति अपडेट की गई है।</p>
+      <p>
+        <b>नई स्थिति:</b> <span style="color: blue; font-weight: bold;">${statusLabel(status, 'hi')}</span><br>
+        ${complaint.assignedTechnician && html`<b>नियुक्त तकनीशियन:</b> ${complaint.assignedTechnician}<br>`}
+        ${remark && html`<b>टिप्पणी:</b> ${remark}<br>`}
+      </p>
+      ${feedbackLink && html`
+      <p>
+        हमारी सेवा कैसी रही? <a href="${feedbackLink}">रेटिंग दें</a>।<br>
+        समस्या हल नहीं हुई? ${reopenWindowDays} दिनों के भीतर इसी लिंक से टिकट दोबारा खोल सकते हैं।
+      </p>`}
+      <p>${THANKS.hi}</p>
+    `
+  }
+};
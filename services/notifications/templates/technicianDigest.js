@@ -0,0 +1,45 @@
+const { html } = require('./html');
+const { statusLabel, formatDate, formatDateTime } = require('./labels');
+
+const TEXT = {
+  en: { today: "Today's visits", others: 'Other open tickets', none: 'None', due: 'Due', visit: 'Visit' },
+  hi: { today: 'आज की विज़िट', others: 'अन्य खुले टिकट', none: 'कोई नहीं', due: 'नियत समय', visit: 'विज़िट' }
+};
+
+const ticketList = (items, lang) => {
+  const t = TEXT[lang];
+  if (items.length === 0) return html`<p>${t.none}</p>`;
+  return html`
+    <ul>
+      ${items.map(c => html`<li><b>${c.complaintId}</b> – ${c.issueType} – ${statusLabel(c.status, lang)}<br/>
+        ${c.customerName}, ${c.address}, ${c.city} (${c.phone})<br/>
+        ${c.scheduledStart && html`${t.visit}: ${formatDateTime(c.scheduledStart, lang)} `}${c.dueAt && html`${t.due}: ${formatDateTime(c.dueAt, lang)}`}
+      </li>`)}
+    </ul>
+  `;
+};
+
+const body = (lang, intro) => ({ recipient, today, others, totals }) => html`
+  <p>${intro(recipient, totals)}</p>
+  <h3>${TEXT[lang].today} (${today.length})</h3>
+  ${ticketList(today, lang)}
+  <h3>${TEXT[lang].others} (${others.length})</h3>
+  ${ticketList(others, lang)}
+`;
+
+// data: { recipient, date, today, others, totals }
+module.exports = {
+  description: 'Technician: daily list of assigned open tickets',
+  en: {
+    subject: ({ date, totals }) =>
+      `Your Tickets – ${formatDate(date, 'en')} – ${totals.scheduledToday} visits today, ${totals.open} open`,
+    body: body('en', (recipient, totals) =>
+      html`Hello ${recipient?.name || recipient?.username}, you have <b>${totals.open}</b> open tickets (${totals.overdue} past their deadline).`)
+  },
+  hi: {
+    subject: ({ date, totals }) =>
+      `आपके टिकट – ${formatDate(date, 'hi')} – आज ${totals.scheduledToday} विज़िट, ${totals.open} खुले`,
+    body: body('hi', (recipient, totals) =>
+      html`नमस्ते ${recipient?.name || recipient?.username}, आपके <b>${totals.open}</b> टिकट खुले हैं (${totals.overdue} की समय-सीमा पार)।`)
+  }
+};
@@ -0,0 +1,92 @@
+const Notification = require('../../models/Notification');
+const { queue } = require('../../config/notifications');
+const { deliver } = require('./dispatcher');
+
+/* ============================
+   QUEUE WORKER
+============================ */
+const backoffMs = (attempts) => queue.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+// Atomically takes the next due message so parallel workers never double-send
+const claimNext = (now) =>
+  Notification.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+const attempt = async (notification) => {
+  const at = new Date();
+  try {
+    const result = await deliver(notification.toObject());
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: at,
+          provider: result.provider,
+          providerMessageId: result.id,
+          lastError: null
+        },
+        $unset: { lockedAt: 1 },
+        $push: { attemptLog: { at, provider: result.provider } }
+      }
+    );
+    // By id: recipients (customer phones / emails) stay out of the logs
+    console.log(`Notification ${notification._id} sent (${notification.channel}/${result.provider})`);
+  } catch (err) {
+    const exhausted = notification.attempts >= notification.maxAttempts;
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: exhausted ? 'dead' : 'queued',
+          nextAttemptAt: new Date(at.getTime() + backoffMs(notification.attempts)),
+          lastError: err.message
+        },
+        $unset: { lockedAt: 1 },
+        $push: { attemptLog: { at, error: err.message } }
+      }
+    );
+    console.error(
+      `Notification ${notification._id} ${exhausted ? 'dead-lettered' : 'failed'} (${notification.channel}):`,
+      err.message
+    );
+  }
+};
+
+let running = false;
+
+const processQueue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+
+    // Recover messages left in "sending" by a crashed worker
+    await Notification.updateMany(
+      {
+        status: 'sending',
+        lockedAt: { $lte: new Date(now.getTime() - queue.lockTimeoutSeconds * 1000) }
+      },
+      { $set: { status: 'queued' }, $unset: { lockedAt: 1 } }
+    );
+
+    let notification;
+    while ((notification = await claimNext(new Date()))) {
+      await attempt(notification);
+    }
+  } catch (err) {
+    console.error('Notification worker error:', err.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startNotificationWorker = () => {
+  processQueue();
+  return setInterval(processQueue, queue.pollSeconds * 1000);
+};
+
+module.exports = { processQueue, startNotificationWorker };
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const OrganisationInvite = require('../models/OrganisationInvite');
+const User = require('../models/User');
+const Complaint = require('../models/Complaint');
+const config = require('../config/organisations');
+const notificationConfig = require('../config/notifications');
+const { CLOSED_STATUSES } = require('./complaintLifecycle');
+const { can } = require('./permissions');
+const { resolveTarget, phoneVariants } = require('./otp');
+const { sendSms, sendTemplate } = require('./notifications');
+const templates = require('./notifications/templates');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ORGANISATION_FIELDS = ['name', 'contactEmail', 'contactPhone', 'city', 'address'];
+const MEMBER_FIELDS = 'username name email phone role isApproved createdAt';
+
+/* ============================
+   ORGANISATIONS
+============================ */
+// Errors are returned as { status, message } like the lifecycle validators.
+// Only platform admins may switch `active`.
+const validateOrganisationInput = (body, { partial = false, allowActive = false } = {}) => {
+  const data = {};
+  for (const field of ORGANISATION_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string') return { status: 400, message: `${field} must be a string` };
+    data[field] = body[field].trim();
+  }
+  if (allowActive && body.active !== undefined) data.active = body.active === true;
+
+  if ((!partial || data.name !== undefined) && !data.name) {
+    return { status: 400, message: 'name is required' };
+  }
+  if (data.contactEmail && !resolveTarget({ email: data.contactEmail })) {
+    return { status: 400, message: 'contactEmail is not a valid email' };
+  }
+  if (partial && Object.keys(data).length === 0) {
+    return { status: 400, message: 'Nothing to update' };
+  }
+  return { data };
+};
+
+// Access tokens do not carry the organisation
+const organisationIdOf = async (user) =>
+  (await User.findById(user.id).select('organisationId'))?.organisationId || null;
+
+// The organisation `id` if the caller may manage it: platform admins any,
+// organisation admins only their own. Resolves to undefined when the caller
+// may not, null when it does not exist.
+const findManagedOrganisation = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  if (!can(user, 'organisation:manage:any')) {
+    if (!can(user, 'organisation:manage:own')) return undefined;
+    const own = await organisationIdOf(user);
+    if (!own || String(own) !== String(id)) return undefined;
+  }
+  return Organisation.findById(id);
+};
+
+/* ============================
+   MEMBERS
+============================ */
+// Everyone linked to the organisation, admins included
+const listMembers = (organisation) =>
+  User.find({ organisationId: organisation._id }).select(MEMBER_FIELDS).sort({ createdAt: -1 });
+
+// Members proper are customer accounts; organisation admins are managed with
+// /api/auth/set-role
+const findMember = (organisation, userId) =>
+  mongoose.Types.ObjectId.isValid(userId)
+    ? User.findOne({ _id: userId, organisationId: organisation._id, role: 'user' })
+    : null;
+
+const memberIds = async (organisation) =>
+  (await User.find({ organisationId: organisation._id }).select('_id')).map(user => user._id);
+
+/* ============================
+   INVITES
+============================ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "<inviteId>.<random>" so a presented token finds its invite without a scan
+const newInviteToken = (inviteId) => `${inviteId}.${crypto.randomBytes(24).toString('base64url')}`;
+
+const inviteIdOf = (token) => {
+  const [id] = String(token || '').split('.');
+  return mongoose.Types.ObjectId.isValid(id) ? id : null;
+};
+
+const inviteStatus = (invite, now = new Date()) => {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.acceptedAt) return 'accepted';
+  if (invite.expiresAt <= now) return 'expired';
+  return 'pending';
+};
+
+const inviteView = (invite) => ({
+  _id: invite._id,
+  channel: invite.channel,
+  target: invite.target,
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  acceptedAt: invite.acceptedAt,
+  acceptedBy: invite.acceptedBy,
+  revokedAt: invite.revokedAt,
+  status: inviteStatus(invite),
+  createdAt: invite.createdAt
+});
+
+// Sends an invite link by SMS (phone) or email. Re-inviting the same contact
+// revokes its earlier pending invites. Resolves to { invite } or { status, message }.
+const createInvite = async (organisation, { phone, email }, inviter) => {
+  if (!organisation.active) return { status: 409, message: 'Organisation is inactive' };
+
+  const resolved = resolveTarget({ phone, email });
+  if (!resolved) return { status: 400, message: 'A valid phone number or email is required' };
+
+  const contact = resolved.channel === 'sms'
+    ? { phone: { $in: phoneVariants(resolved.target) } }
+    : { email: resolved.target };
+  if (await User.exists({ ...contact, organisationId: organisation._id })) {
+    return { status: 409, message: 'Already a member of this organisation' };
+  }
+
+  const now = new Date();
+  await OrganisationInvite.updateMany(
+    { organisation: organisation._id, target: resolved.target, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  const invite = new OrganisationInvite({
+    organisation: organisation._id,
+    ...resolved,
+    invitedBy: { user: inviter.id, username: inviter.username },
+    expiresAt: new Date(now.getTime() + config.inviteDays * DAY)
+  });
+  const token = newInviteToken(invite._id);
+  invite.tokenHash = hashToken(token);
+  await invite.save();
+
+  const data = {
+    organisation,
+    invitedBy: inviter.username,
+    acceptLink: `${notificationConfig.frontendUrl}/invite?token=${encodeURIComponent(token)}`,
+    expiresAt: invite.expiresAt
+  };
+  const meta = { event: 'organisation.invite' };
+  if (resolved.channel === 'sms') {
+    sendSms(resolved.target, templates.renderSms('organisationInvite', data), meta);
+  } else {
+    sendTemplate(resolved.target, 'organisationInvite', data, meta);
+  }
+
+  return { invite };
+};
+
+const usableInvite = (token) => ({
+  _id: inviteIdOf(token),
+  tokenHash: hashToken(String(token)),
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Single use: only one caller can mark the invite accepted
+const consumeInvite = (token, userId) =>
+  OrganisationInvite.findOneAndUpdate(
+    usableInvite(token),
+    { $set: { acceptedAt: new Date(), acceptedBy: userId } },
+    { new: true }
+  );
+
+// A logged-in customer (`user`) joins with their account; otherwise
+// `registration` ({ username, password, name }) creates a new account with the
+// invited phone / email, pending approval by the organisation.
+// Resolves to { organisation, user, registered } or { status, message }.
+const acceptInvite = async (token, { user, registration = {} }) => {
+  if (!inviteIdOf(token)) return { status: 400, message: 'Invite token required' };
+
+  const invite = await OrganisationInvite.findOne(usableInvite(token)).populate('organisation');
+  if (!invite) return { status: 410, message: 'Invite is invalid, expired or already used' };
+  const { organisation } = invite;
+  if (!organisation?.active) return { status: 409, message: 'Organisation is inactive' };
+
+  if (user) {
+    const account = await User.findById(user.id);
+    if (!account) return { status: 404, message: 'User not found' };
+    if (account.role !== 'user') {
+      return { status: 403, message: 'Only customer accounts can join an organisation' };
+    }
+    if (account.organisationId && !account.organisationId.equals(organisation._id)) {
+      return { status: 409, message: 'Already a member of another organisation' };
+    }
+
+    if (!(await consumeInvite(token, account._id))) {
+      return { status: 410, message: 'Invite is invalid, expired or already used' };
+    }
+    account.organisationId = organisation._id;
+    await account.save();
+    return { organisation, user: account, registered: false };
+  }
+
+  const username = registration.username?.toLowerCase().trim();
+  if (!username || !registration.password) {
+    return { status: 400, message: 'Log in, or give a username and password to register' };
+  }
+
+  const contact = invite.channel === 'sms' ? { phone: invite.target } : { email: invite.target };
+  const contactFilter = invite.channel === 'sms'
+    ? { phone: { $in: phoneVariants(invite.target) } }
+    : contact;
+  if (await User.exists({ username })) return { status: 409, message: 'Username already taken' };
+  if (await User.exists(contactFilter)) {
+    return { status: 409, message: 'An account with this contact exists. Log in to accept the invite.' };
+  }
+
+  const userId = new mongoose.Types.ObjectId();
+  if (!(await consumeInvite(token, userId))) {
+    return { status: 410, message: 'Invite is invalid, expired or already used' };
+  }
+
+  try {
+    const account = await User.create({
+      _id: userId,
+      username,
+      name: registration.name,
+      password: registration.password,
+      ...contact,
+      role: 'user',
+      organisationId: organisation._id,
+      isApproved: false
+    });
+    return { organisation, user: account, registered: true };
+  } catch (err) {
+    // Give the invite back so the person can retry
+    await OrganisationInvite.updateOne(
+      { _id: invite._id },
+      { $unset: { acceptedAt: 1, acceptedBy: 1 } }
+    );
+    throw err;
+  }
+};
+
+/* ============================
+   MEMBER COMPLAINT STATS
+============================ */
+// filter: extra conditions from complaintQuery.buildListFilter (dates, city, ...)
+const memberStats = async (organisation, filter = {}) => {
+  const ids = await memberIds(organisation);
+  const now = new Date();
+  const isOpen = { $not: [{ $in: ['$status', CLOSED_STATUSES] }] };
+
+  const [result] = await Complaint.aggregate([
+    { $match: { $and: [{ userId: { $in: ids } }, filter] } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              open: { $sum: { $cond: [isOpen, 1, 0] } },
+              overdue: {
+                $sum: {
+                  $cond: [
+                    { $and: [isOpen, { $eq: [{ $type: '$dueAt' }, 'date'] }, { $lt: ['$dueAt', now] }] },
+                    1,
+                    0
+                  ]
+                }
+              },
+              // $avg skips the nulls of unresolved tickets
+              averageResolutionHours: {
+                $avg: {
+                  $cond: [
+                    { $eq: [{ $type: '$resolvedAt' }, 'date'] },
+                    { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, 60 * 60 * 1000] },
+                    null
+                  ]
+                }
+              }
+            }
+          }
+        ],
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byIssueType: [{ $group: { _id: '$issueType', count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { total: 0, open: 0, overdue: 0, averageResolutionHours: null };
+  const toMap = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+
+  return {
+    organisation: { _id: organisation._id, name: organisation.name },
+    members: ids.length,
+    total: totals.total,
+    open: totals.open,
+    overdue: totals.overdue,
+    averageResolutionHours: totals.averageResolutionHours === null
+      ? null
+      : Math.round(totals.averageResolutionHours * 10) / 10,
+    byStatus: toMap(result.byStatus),
+    byIssueType: toMap(result.byIssueType)
+  };
+};
+
+module.exports = {
+  validateOrganisationInput,
+  organisationIdOf,
+  findManagedOrganisation,
+  listMembers,
+  findMember,
+  memberIds,
+  inviteView,
+  createInvite,
+  acceptInvite,
+  memberStats
+};
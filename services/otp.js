@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OtpChallenge = require('../models/OtpChallenge');
+const otpConfig = require('../config/otp');
+const notificationConfig = require('../config/notifications');
+const { toE164 } = require('./notifications/dispatcher');
+const { sendSms, sendTemplate } = require('./notifications');
+const templates = require('./notifications/templates');
+
+const PURPOSES = otpConfig.purposes;
+
+// Separate key so a verification token can never pass as a login JWT
+const secret = () => process.env.OTP_SECRET || `${process.env.JWT_SECRET}.otp`;
+
+const hashCode = (challengeId, code) =>
+  crypto.createHmac('sha256', secret()).update(`${challengeId}.${code}`).digest('hex');
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** otpConfig.codeLength)).padStart(otpConfig.codeLength, '0');
+
+/* ============================
+   TARGETS
+============================ */
+// { phone } -> SMS to the E.164 number, { email } -> email
+const resolveTarget = ({ phone, email }) => {
+  if (phone && String(phone).replace(/\D/g, '').length >= 10) {
+    return { channel: 'sms', target: toE164(phone) };
+  }
+  if (email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return { channel: 'email', target: email.toLowerCase().trim() };
+  }
+  return null;
+};
+
+// Complaints store the phone as typed; these are the spellings of one number
+const phoneVariants = (phone) => {
+  const e164 = toE164(phone);
+  const code = `+${notificationConfig.defaultCountryCode}`;
+  if (!e164.startsWith(code)) return [String(phone).trim(), e164];
+
+  const local = e164.slice(code.length);
+  return [...new Set([String(phone).trim(), local, `0${local}`, e164, e164.slice(1), `${code} ${local}`])];
+};
+
+/* ============================
+   REQUEST & VERIFY
+============================ */
+// Errors are returned as { status, message } like the lifecycle validators
+const requestOtp = async ({ phone, email, purpose, language }) => {
+  if (!PURPOSES.includes(purpose)) {
+    return { status: 400, message: `Purpose must be one of: ${PURPOSES.join(', ')}` };
+  }
+  const resolved = resolveTarget({ phone, email });
+  if (!resolved) return { status: 400, message: 'A valid phone number or email is required' };
+
+  const now = new Date();
+  const recent = await OtpChallenge.findOne({
+    target: resolved.target,
+    createdAt: { $gt: new Date(now.getTime() - otpConfig.resendSeconds * 1000) }
+  }).sort({ createdAt: -1 });
+  if (recent) {
+    const retryAfter = Math.ceil(
+      (recent.createdAt.getTime() + otpConfig.resendSeconds * 1000 - now.getTime()) / 1000
+    );
+    return { status: 429, message: `Please wait ${retryAfter}s before requesting another code`, retryAfter };
+  }
+
+  const code = generateCode();
+  const challenge = new OtpChallenge({
+    ...resolved,
+    purpose,
+    expiresAt: new Date(now.getTime() + otpConfig.ttlMinutes * 60 * 1000)
+  });
+  challenge.codeHash = hashCode(challenge._id, code);
+  await challenge.save();
+
+  const data = { code, purpose, ttlMinutes: otpConfig.ttlMinutes };
+  const meta = { event: 'auth.otp', language };
+  if (resolved.channel === 'sms') {
+    sendSms(resolved.target, templates.renderSms('otp', data, language), meta);
+  } else {
+    sendTemplate(resolved.target, 'otp', data, meta);
+  }
+
+  return {
+    challengeId: challenge._id,
+    channel: resolved.channel,
+    expiresAt: challenge.expiresAt,
+    resendAfter: otpConfig.resendSeconds
+  };
+};
+
+// Resolves to { verificationToken, expiresAt } or { status, message }
+const verifyOtp = async ({ challengeId, code }) => {
+  if (!challengeId || !code) return { status: 400, message: 'challengeId and code are required' };
+
+  // Count the attempt before checking so parallel guesses cannot exceed the limit
+  const challenge = await OtpChallenge.findOneAndUpdate(
+    {
+      _id: challengeId,
+      verifiedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: otpConfig.maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).catch(() => null);
+  if (!challenge) {
+    return { status: 410, message: 'Code expired or too many attempts. Request a new one.' };
+  }
+
+  const expected = Buffer.from(challenge.codeHash);
+  const actual = Buffer.from(hashCode(challenge._id, String(code).trim()));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return {
+      status: 400,
+      message: 'Incorrect code',
+      attemptsLeft: otpConfig.maxAttempts - challenge.attempts
+    };
+  }
+
+  await OtpChallenge.updateOne({ _id: challenge._id }, { $set: { verifiedAt: new Date() } });
+
+  const verificationToken = jwt.sign(
+    { purpose: challenge.purpose, channel: challenge.channel, target: challenge.target },
+    secret(),
+    { expiresIn: `${otpConfig.tokenMinutes}m` }
+  );
+  return {
+    verificationToken,
+    channel: challenge.channel,
+    expiresAt: new Date(Date.now() + otpConfig.tokenMinutes * 60 * 1000)
+  };
+};
+
+/* ============================
+   VERIFICATION TOKENS
+============================ */
+// Sent as X-Verification-Token (or verificationToken in body / query)
+const getVerificationToken = (req) =>
+  req.get('x-verification-token') || req.body?.verificationToken || req.query.verificationToken;
+
+// Decoded { purpose, channel, target } or null when missing / invalid / other purpose
+const readVerificationToken = (token, purpose) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, secret());
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// contact: anything with phone / email (a complaint, or the raw track query)
+const matchesContact = (verification, { phone, email } = {}) => {
+  if (verification?.channel === 'sms') return Boolean(phone && toE164(phone) === verification.target);
+  if (verification?.channel === 'email') return Boolean(email && email.toLowerCase().trim() === verification.target);
+  return false;
+};
+
+module.exports = {
+  PURPOSES,
+  resolveTarget,
+  phoneVariants,
+  requestOtp,
+  verifyOtp,
+  getVerificationToken,
+  readVerificationToken,
+  matchesContact
+};
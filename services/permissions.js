@@ -0,0 +1,101 @@
+/* ============================
+   ROLE PERMISSIONS
+============================ */
+// Permissions read resource:action[:scope]. A ':any' scope covers every
+// record; ':assigned' (technician's jobs), ':organisation' (complaints of the
+// organisation's members) and ':own' (the caller's complaints) are narrowed
+// per record by services/complaintAccess.
+const ROLE_PERMISSIONS = {
+  admin: [
+    'complaint:read:any',
+    'complaint:update:any',
+    'complaint:assign',
+    'complaint:schedule',
+    'complaint:merge',
+    'complaint:comment:internal',
+    'complaint:attachment:delete:any',
+    'complaint:contact:customer',
+    'complaint:contact:technician',
+    'complaint:contact:any',
+    'visit:read:any',
+    'visit:report',
+    'agenda:read:any',
+    'user:list',
+    // Email / phone in the user list (engineers get the list without them)
+    'user:contact',
+    'user:approve',
+    'user:reject',
+    'user:suspend',
+    'user:delete',
+    'user:role',
+    'user:password:reset',
+    'user:sessions',
+    'city:technicians:read',
+    'city:technicians:write',
+    'notification:manage',
+    'webhook:manage:any',
+    'organisation:create',
+    'organisation:list',
+    'organisation:manage:any'
+  ],
+  engineer: [
+    'complaint:read:any',
+    'complaint:update:any',
+    'complaint:assign',
+    'complaint:schedule',
+    'complaint:comment:internal',
+    'complaint:attachment:delete:any',
+    'complaint:contact:customer',
+    'complaint:contact:technician',
+    'complaint:contact:any',
+    'visit:read:any',
+    'visit:report',
+    'agenda:read:any',
+    'user:list',
+    'city:technicians:read'
+  ],
+  technician: [
+    'complaint:read:assigned',
+    'complaint:update:assigned',
+    'complaint:comment:internal',
+    'complaint:contact:customer',
+    'complaint:visit',
+    'visit:read:own',
+    'agenda:read:own'
+  ],
+  organisation: [
+    'complaint:read:organisation',
+    'complaint:contact:technician',
+    'webhook:manage:own',
+    // Members, invites, stats and filing for members of their own organisation
+    'organisation:manage:own'
+  ],
+  user: [
+    // Complaints filed while logged in, or claimed, are linked to the account
+    'complaint:own',
+    'complaint:read:own',
+    'complaint:contact:technician'
+  ]
+};
+
+const COMPLAINT_SCOPES = ['any', 'assigned', 'organisation', 'own'];
+
+// Every scoped variant of a permission, e.g. scoped('complaint:read')
+const scoped = (permission) => COMPLAINT_SCOPES.map(scope => `${permission}:${scope}`);
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// `user` is anything with a role: a token payload or a User document
+const can = (user, permission) =>
+  Boolean(user && permissionsFor(user.role).includes(permission));
+
+const canAny = (user, permissions) =>
+  permissions.some(permission => can(user, permission));
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  scoped,
+  permissionsFor,
+  can,
+  canAny
+};
@@ -0,0 +1,67 @@
+const Complaint = require('../models/Complaint');
+const { CLOSED_STATUSES } = require('./complaintLifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION_MINUTES = Number(process.env.APPOINTMENT_DEFAULT_MINUTES) || 60;
+
+// All customers are in India; agenda days are counted in IST
+const IST_OFFSET = '+05:30';
+
+/* ============================
+   SLOT PARSING
+============================ */
+// Returns { start, end } or { error } for a booking request body
+const parseSlot = ({ start, end }) => {
+  const startAt = new Date(start);
+  if (!start || Number.isNaN(startAt.getTime())) {
+    return { error: 'A valid start date/time is required' };
+  }
+
+  const endAt = end
+    ? new Date(end)
+    : new Date(startAt.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+  if (Number.isNaN(endAt.getTime()) || endAt <= startAt) {
+    return { error: 'End must be a valid date/time after start' };
+  }
+
+  return { start: startAt, end: endAt };
+};
+
+/* ============================
+   CONFLICT DETECTION
+============================ */
+// Open complaints of the same technician whose slot overlaps [start, end)
+const findConflicts = ({ technician, start, end, excludeId }) =>
+  Complaint.find({
+    _id: { $ne: excludeId },
+    assignedTechnician: technician,
+    status: { $nin: CLOSED_STATUSES },
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start }
+  })
+    .select('complaintId scheduledStart scheduledEnd')
+    .sort({ scheduledStart: 1 });
+
+/* ============================
+   TECHNICIAN AGENDA
+============================ */
+const agendaWindow = (date, range) => {
+  const day = date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const from = new Date(`${day}T00:00:00${IST_OFFSET}`);
+  if (Number.isNaN(from.getTime())) return null;
+
+  const to = new Date(from.getTime() + (range === 'week' ? 7 : 1) * DAY);
+  return { from, to };
+};
+
+const getAgenda = (technician, { from, to }) =>
+  Complaint.find({
+    assignedTechnician: technician,
+    status: { $nin: CLOSED_STATUSES },
+    scheduledStart: { $lt: to },
+    scheduledEnd: { $gt: from }
+  })
+    .select('complaintId type customerName phone city address issueType status scheduledStart scheduledEnd')
+    .sort({ scheduledStart: 1 });
+
+module.exports = { parseSlot, findConflicts, agendaWindow, getAgenda };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Old refresh tokens remembered per session for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "<sessionId>.<random>" so a presented token finds its session without a scan
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const sessionIdOf = (refreshToken) => {
+  const [id] = String(refreshToken || '').split('.');
+  return mongoose.Types.ObjectId.isValid(id) ? id : null;
+};
+
+const sessionExpiry = (from = new Date()) => new Date(from.getTime() + authConfig.refreshTokenDays * DAY);
+
+/* ============================
+   ACCESS TOKENS
+============================ */
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, username: user.username, role: user.role, tv: user.tokenVersion, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.accessTokenTtl }
+  );
+
+// Signature and expiry are checked by the caller; this rejects tokens whose
+// user was suspended, deleted or invalidated (password reset, role change) or
+// whose session ended. Tokens issued before sessions existed carry no tv / sid.
+// Resolves to null when the token is still good, else { status, message }.
+const checkAccessToken = async (payload) => {
+  const [user, session] = await Promise.all([
+    User.findById(payload.id).select('tokenVersion suspendedAt'),
+    payload.sid ? Session.findById(payload.sid).select('revokedAt') : null
+  ]);
+
+  const ended = { status: 401, message: 'Session ended. Please log in again.' };
+  if (!user) return ended;
+  if (user.suspendedAt) return { status: 403, message: 'Account suspended' };
+  if ((user.tokenVersion || 0) !== (payload.tv ?? 0)) return ended;
+  if (payload.sid && (!session || session.revokedAt)) return ended;
+  return null;
+};
+
+const isAccessTokenCurrent = async (payload) => !(await checkAccessToken(payload));
+
+/* ============================
+   SESSIONS
+============================ */
+// Login: resolves to { accessToken, refreshToken, session }
+const createSession = async (user, req) => {
+  const now = new Date();
+  const session = new Session({
+    user: user._id,
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: req.get('user-agent')?.slice(0, 200),
+    ip: req.ip,
+    lastUsedAt: now,
+    expiresAt: sessionExpiry(now)
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { accessToken: signAccessToken(user, session), refreshToken, session };
+};
+
+const revokeSessions = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Logout with a refresh token; the id prefix alone is not enough
+const revokeByRefreshToken = (refreshToken, reason) =>
+  revokeSessions({ _id: sessionIdOf(refreshToken), tokenHash: hashToken(refreshToken) }, reason);
+
+// Exchanges a refresh token for a new pair. Resolves to
+// { accessToken, refreshToken, user } or { status, message }.
+const rotateSession = async (refreshToken, req) => {
+  const id = sessionIdOf(refreshToken);
+  if (!id) return { status: 401, message: 'Invalid or expired refresh token' };
+
+  const now = new Date();
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken(id);
+
+  // Only the holder of the current token can swap it
+  const session = await Session.findOneAndUpdate(
+    { _id: id, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(next), lastUsedAt: now, expiresAt: sessionExpiry(now), ip: req.ip },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -PREVIOUS_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token coming back means it was copied: end the session
+    const reused = await Session.findOneAndUpdate(
+      { _id: id, previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    return {
+      status: 401,
+      message: reused ? 'Refresh token reuse detected. Please log in again.' : 'Invalid or expired refresh token'
+    };
+  }
+
+  const user = await User.findById(session.user).select('username role tokenVersion isApproved suspendedAt');
+  if (
+    !user ||
+    user.suspendedAt ||
+    (user.tokenVersion || 0) !== session.tokenVersion ||
+    (!user.isApproved && user.role !== 'admin')
+  ) {
+    await revokeSessions({ _id: session._id }, 'invalidated');
+    return { status: 401, message: 'Session is no longer valid. Please log in again.' };
+  }
+
+  return { accessToken: signAccessToken(user, session), refreshToken: next, user };
+};
+
+// Password reset, role change, "log out everywhere": every access token and
+// session of the user stops working
+const invalidateUserSessions = async (userId, reason) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await revokeSessions({ user: userId }, reason);
+};
+
+const listActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  sessionIdOf,
+  checkAccessToken,
+  isAccessTokenCurrent,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  revokeByRefreshToken,
+  invalidateUserSessions,
+  listActiveSessions
+};
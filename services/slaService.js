@@ -0,0 +1,122 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const slaConfig = require('../config/sla');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { CLOSED_STATUSES, isOpenStatus } = require('./complaintLifecycle');
+const { notifyUser } = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+const SYSTEM_ACTOR = { username: 'system', role: 'system' };
+
+/* ============================
+   TARGETS & STATE
+============================ */
+const getTargetHours = (type, issueType) => {
+  const { issueTypes, types, defaultHours } = slaConfig;
+  return (
+    issueTypes[`${type}:${issueType}`] ??
+    issueTypes[issueType] ??
+    types[type] ??
+    defaultHours
+  );
+};
+
+const computeDueAt = (type, issueType, from = new Date()) =>
+  new Date(from.getTime() + getTargetHours(type, issueType) * HOUR);
+
+// 'on-track' | 'at-risk' | 'breached' (null when the ticket has no deadline)
+const getSlaState = (complaint, now = new Date()) => {
+  const { dueAt, createdAt, status, sla } = complaint;
+  if (!dueAt) return null;
+  if (sla?.breachedAt) return 'breached';
+  if (!isOpenStatus(status)) return 'on-track';
+
+  const remaining = dueAt.getTime() - now.getTime();
+  if (remaining <= 0) return 'breached';
+
+  // The current window: a reopened ticket starts a fresh one, not from createdAt
+  const window = sla?.targetHours
+    ? sla.targetHours * HOUR
+    : dueAt.getTime() - (createdAt || now).getTime();
+  return remaining <= window * slaConfig.atRiskRatio ? 'at-risk' : 'on-track';
+};
+
+/* ============================
+   ESCALATION SWEEP
+============================ */
+const findRecipients = async (role, city) => {
+  const base = { role, isApproved: true, suspendedAt: null, email: { $nin: [null, ''] } };
+  let users = city ? await User.find({ ...base, city }).select('email language notificationPreferences') : [];
+  if (users.length === 0) users = await User.find(base).select('email language notificationPreferences');
+  return users;
+};
+
+// Moves a complaint from `fromLevel` to `toLevel`; the filter on the current
+// level makes sure only one sweep (or server instance) escalates it.
+const escalate = async (complaint, fromLevel, toLevel, role, now) => {
+  const set = { 'sla.escalationLevel': toLevel, 'sla.escalatedAt': now };
+  if (fromLevel === 0) set['sla.breachedAt'] = now;
+
+  const result = await Complaint.updateOne(
+    { _id: complaint._id, 'sla.escalationLevel': fromLevel },
+    {
+      $set: set,
+      $push: {
+        history: buildHistoryEntry({
+          action: 'sla_escalated',
+          actor: SYSTEM_ACTOR,
+          changes: [{ field: 'sla.escalationLevel', from: fromLevel, to: toLevel }],
+          remark: `SLA breached, escalated to ${role}`
+        })
+      }
+    }
+  );
+  if (result.modifiedCount === 0) return;
+
+  const recipients = await findRecipients(role, complaint.city);
+  recipients.forEach(user =>
+    notifyUser(user, 'slaEscalation', { complaint, audience: role }, {
+      complaint: complaint._id,
+      event: 'sla.escalated'
+    })
+  );
+};
+
+const runSlaSweep = async (now = new Date()) => {
+  const open = { status: { $nin: CLOSED_STATUSES } };
+
+  // Level 0 -> 1: deadline passed, notify engineers
+  const breached = await Complaint.find({
+    ...open,
+    dueAt: { $lte: now },
+    'sla.escalationLevel': 0
+  }).select('-history');
+
+  for (const complaint of breached) {
+    await escalate(complaint, 0, 1, 'engineer', now);
+  }
+
+  // Level 1 -> 2: still open long after engineers were told, notify admins
+  const stale = await Complaint.find({
+    ...open,
+    'sla.escalationLevel': 1,
+    'sla.escalatedAt': { $lte: new Date(now.getTime() - slaConfig.adminEscalationHours * HOUR) }
+  }).select('-history');
+
+  for (const complaint of stale) {
+    await escalate(complaint, 1, 2, 'admin', now);
+  }
+
+  return { breached: breached.length, escalatedToAdmin: stale.length };
+};
+
+const startSlaSweep = () => {
+  const intervalMs = slaConfig.sweepIntervalMinutes * 60 * 1000;
+  const tick = () =>
+    runSlaSweep().catch(err => console.error('SLA sweep failed:', err.message));
+
+  tick();
+  return setInterval(tick, intervalMs);
+};
+
+module.exports = { getTargetHours, computeDueAt, getSlaState, runSlaSweep, startSlaSweep };
@@ -0,0 +1,19 @@
+/* ============================
+   ATTACHMENT STORAGE BACKEND
+============================ */
+// Every driver exposes the same async API:
+//   save({ buffer, originalName, mimeType }) -> key
+//   read(key) -> readable stream
+//   remove(key)
+// Select one with STORAGE_DRIVER (default: local). Register new drivers here.
+
+const drivers = {
+  local: () => require('./localStorage')
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER '${driverName}'`);
+}
+
+module.exports = drivers[driverName]();
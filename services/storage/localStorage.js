@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* ============================
+   LOCAL DISK STORAGE
+============================ */
+const ROOT = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Keys are generated here and never taken from the client, but still make
+// sure a key can only ever point inside ROOT.
+const resolveKey = (key) => {
+  const fullPath = path.resolve(ROOT, key);
+  if (!fullPath.startsWith(ROOT + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return fullPath;
+};
+
+const save = async ({ buffer, originalName }) => {
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = path.posix.join(
+    String(new Date().getFullYear()),
+    `${crypto.randomBytes(16).toString('hex')}${ext}`
+  );
+
+  const fullPath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.promises.writeFile(fullPath, buffer);
+  return key;
+};
+
+const read = async (key) => {
+  const fullPath = resolveKey(key);
+  await fs.promises.access(fullPath);
+  return fs.createReadStream(fullPath);
+};
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = { name: 'local', save, read, remove };
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const City = require('../models/City');
+const Complaint = require('../models/Complaint');
+const Webhook = require('../models/Webhook');
+const Organisation = require('../models/Organisation');
+const { escapeRegex } = require('./complaintQuery');
+const { resolveTarget, phoneVariants } = require('./otp');
+const { notifyUser } = require('./notifications');
+const { invalidateUserSessions } = require('./sessions');
+const { can } = require('./permissions');
+
+const ROLES = ['user', 'admin', 'technician', 'engineer', 'organisation'];
+const ACCOUNT_STATUSES = ['pending', 'active', 'rejected', 'suspended'];
+
+const USER_LIST_FIELDS =
+  'username name city role organisationId isApproved rejectedAt suspendedAt createdAt';
+const CONTACT_FIELDS = ['email', 'phone'];
+
+// Contact details only for callers holding user:contact (admins)
+const userListFields = (caller) =>
+  can(caller, 'user:contact') ? `${USER_LIST_FIELDS} ${CONTACT_FIELDS.join(' ')}` : USER_LIST_FIELDS;
+
+/* ============================
+   ACCOUNT STATUS
+============================ */
+const accountStatus = (user) => {
+  if (user.suspendedAt) return 'suspended';
+  if (user.rejectedAt) return 'rejected';
+  if (user.isApproved || user.role === 'admin') return 'active';
+  return 'pending';
+};
+
+const STATUS_FILTERS = {
+  pending: { isApproved: false, rejectedAt: null, role: { $ne: 'admin' } },
+  active: { suspendedAt: null, rejectedAt: null, $or: [{ isApproved: true }, { role: 'admin' }] },
+  rejected: { rejectedAt: { $ne: null } },
+  suspended: { suspendedAt: { $ne: null } }
+};
+
+// Notification email for reject / suspend / reactivate / delete
+const notifyAccountStatus = (user, action, reason) =>
+  notifyUser(user, 'accountStatus', { user, action, reason }, { event: 'auth.account_status' });
+
+/* ============================
+   LIST FILTERS
+============================ */
+// GET /users query params: role, status, city, organisationId (comma-separated
+// where it makes sense) and search (username / name, plus email / phone for
+// callers who may see them).
+// Returns { filter } or { error } like complaintQuery.buildListFilter.
+const toList = (value) =>
+  String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+const buildUserFilter = (query, caller) => {
+  const conditions = [];
+
+  if (query.role) {
+    const roles = toList(query.role);
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) return { error: `Unknown role: ${unknown.join(', ')}` };
+    conditions.push({ role: { $in: roles } });
+  }
+
+  if (query.status) {
+    const statuses = toList(query.status);
+    const unknown = statuses.filter(status => !ACCOUNT_STATUSES.includes(status));
+    if (unknown.length > 0) return { error: `Unknown status: ${unknown.join(', ')}` };
+    conditions.push({ $or: statuses.map(status => STATUS_FILTERS[status]) });
+  }
+
+  if (query.city) {
+    conditions.push({
+      city: { $in: toList(query.city).map(city => new RegExp(`^${escapeRegex(city)}$`, 'i')) }
+    });
+  }
+
+  if (query.organisationId) {
+    if (!mongoose.Types.ObjectId.isValid(query.organisationId)) return { error: 'Invalid organisationId' };
+    conditions.push({ organisationId: query.organisationId });
+  }
+
+  // Repeated params (?search=a&search=b) arrive as arrays
+  if (query.search !== undefined && typeof query.search !== 'string') {
+    return { error: 'search must be given once' };
+  }
+  const search = query.search?.trim();
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    const fields = ['username', 'name', ...(can(caller, 'user:contact') ? CONTACT_FIELDS : [])];
+    conditions.push({ $or: fields.map(field => ({ [field]: pattern })) });
+  }
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+// _id order is creation order, also for accounts older than createdAt
+const USER_SORTS = {
+  newest: { _id: -1 },
+  oldest: { _id: 1 },
+  username: { username: 1 },
+  name: { name: 1, username: 1 }
+};
+
+const parseUserSort = (sort) => USER_SORTS[sort] || USER_SORTS.newest;
+
+/* ============================
+   PROFILE
+============================ */
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'city', 'address', 'language'];
+
+const profileView = async (user) => {
+  const organisation = user.organisationId
+    ? await Organisation.findById(user.organisationId).select('name')
+    : null;
+
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    city: user.city,
+    address: user.address,
+    language: user.language,
+    role: user.role,
+    status: accountStatus(user),
+    organisation: organisation && { _id: organisation._id, name: organisation.name },
+    createdAt: user.createdAt
+  };
+};
+
+// Whitelisted self-service edits. Email / phone must stay unique across
+// accounts (registration refuses duplicates too).
+// Resolves to { updates } or { status, message }.
+const validateProfileUpdate = async (user, body) => {
+  const forbidden = Object.keys(body).filter(field => !PROFILE_FIELDS.includes(field));
+  if (forbidden.length > 0) {
+    return { status: 400, message: `Cannot edit: ${forbidden.join(', ')}`, editableFields: PROFILE_FIELDS };
+  }
+
+  const updates = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string') return { status: 400, message: `${field} must be a string` };
+    updates[field] = body[field].trim();
+  }
+  if (Object.keys(updates).length === 0) return { status: 400, message: 'Nothing to update' };
+
+  if (updates.language && !['en', 'hi'].includes(updates.language)) {
+    return { status: 400, message: 'language must be en or hi' };
+  }
+  if (updates.email) {
+    if (!resolveTarget({ email: updates.email })) return { status: 400, message: 'Invalid email' };
+    updates.email = updates.email.toLowerCase();
+    if (await User.exists({ _id: { $ne: user._id }, email: updates.email })) {
+      return { status: 409, message: 'Email already registered' };
+    }
+  }
+  if (updates.phone) {
+    if (!resolveTarget({ phone: updates.phone })) return { status: 400, message: 'Invalid phone number' };
+    if (await User.exists({ _id: { $ne: user._id }, phone: { $in: phoneVariants(updates.phone) } })) {
+      return { status: 409, message: 'Phone number already registered' };
+    }
+  }
+
+  return { updates };
+};
+
+/* ============================
+   ADMIN ACTIONS
+============================ */
+// The account an admin may moderate: not their own, not another admin.
+// Resolves to { user } or { status, message }.
+const findModeratedUser = async (actor, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return { status: 404, message: 'User not found' };
+  if (String(id) === String(actor.id)) {
+    return { status: 400, message: 'You cannot change the status of your own account' };
+  }
+
+  const user = await User.findById(id);
+  if (!user) return { status: 404, message: 'User not found' };
+  if (user.role === 'admin') return { status: 403, message: 'Admin accounts cannot be moderated' };
+  return { user };
+};
+
+// Removes the account and everything that only makes sense with it: sessions,
+// technician city links and webhooks. Complaints stay, unowned, so the
+// customer can claim them again with a new account.
+const deleteUser = async (user, reason) => {
+  await invalidateUserSessions(user._id, 'account_deleted');
+  await Promise.all([
+    Complaint.updateMany({ userId: user._id }, { $unset: { userId: 1 } }),
+    City.updateMany({ technicians: user._id }, { $pull: { technicians: user._id } }),
+    Webhook.updateMany({ 'owner.user': user._id }, { $set: { active: false } })
+  ]);
+  notifyAccountStatus(user, 'deleted', reason);
+  await User.deleteOne({ _id: user._id });
+};
+
+module.exports = {
+  userListFields,
+  accountStatus,
+  notifyAccountStatus,
+  buildUserFilter,
+  parseUserSort,
+  profileView,
+  validateProfileUpdate,
+  findModeratedUser,
+  deleteUser
+};
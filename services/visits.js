@@ -0,0 +1,169 @@
+const Complaint = require('../models/Complaint');
+const { buildHistoryEntry } = require('./complaintHistory');
+const { agendaWindow } = require('./scheduling');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+
+/* ============================
+   INPUT
+============================ */
+// { lat, lng, accuracy? } -> { location } or { error }
+const parseLocation = (input) => {
+  if (input?.lat === undefined || input?.lng === undefined) {
+    return { error: 'location.lat and location.lng are required' };
+  }
+
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: 'Invalid GPS coordinates' };
+  }
+
+  const location = { lat, lng };
+  if (input.accuracy !== undefined) {
+    const accuracy = Number(input.accuracy);
+    if (!Number.isFinite(accuracy) || accuracy < 0) {
+      return { error: 'location.accuracy must be a non-negative number of metres' };
+    }
+    location.accuracy = accuracy;
+  }
+  return { location };
+};
+
+/* ============================
+   CHECK-IN / CHECK-OUT
+============================ */
+const isOpenVisit = (visit) => !visit.checkOut?.at;
+
+const findOpenVisit = (complaint, technician) =>
+  complaint.visits.find(visit => visit.technician === technician && isOpenVisit(visit));
+
+// A technician can only be on one site at a time
+const findOpenVisitElsewhere = (technician, complaintId) =>
+  Complaint.findOne({
+    _id: { $ne: complaintId },
+    visits: { $elemMatch: { technician, 'checkOut.at': { $exists: false } } }
+  }).select('complaintId');
+
+// Starts a visit and moves the ticket to In Progress. Resolves to the updated
+// complaint, or null when the technician already has an open visit on it.
+const checkIn = (complaint, actor, { location, note }) => {
+  const at = new Date();
+  const statusChanged = complaint.status !== 'In Progress';
+  const changes = statusChanged ? [{ field: 'status', from: complaint.status, to: 'In Progress' }] : [];
+
+  return Complaint.findOneAndUpdate(
+    {
+      _id: complaint._id,
+      visits: { $not: { $elemMatch: { technician: actor.username, 'checkOut.at': { $exists: false } } } }
+    },
+    {
+      ...(statusChanged && { $set: { status: 'In Progress' } }),
+      $push: {
+        visits: { technician: actor.username, checkIn: { at, location, note } },
+        history: buildHistoryEntry({
+          action: 'visit_checked_in',
+          actor,
+          changes,
+          remark: note || `Checked in at ${location.lat}, ${location.lng}`
+        })
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Closes the open visit and records its duration. Resolves to the updated
+// complaint, or null if the visit was closed in the meantime.
+const checkOut = (complaint, visit, actor, { location, note }) => {
+  const at = new Date();
+  const durationMinutes = Math.max(0, Math.round((at.getTime() - visit.checkIn.at.getTime()) / 60000));
+
+  return Complaint.findOneAndUpdate(
+    {
+      _id: complaint._id,
+      visits: { $elemMatch: { _id: visit._id, 'checkOut.at': { $exists: false } } }
+    },
+    {
+      $set: {
+        'visits.$.checkOut': { at, location, note },
+        'visits.$.durationMinutes': durationMinutes
+      },
+      $push: {
+        history: buildHistoryEntry({
+          action: 'visit_checked_out',
+          actor,
+          changes: [{ field: 'visitMinutes', from: null, to: durationMinutes }],
+          remark: note
+        })
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/* ============================
+   DURATIONS
+============================ */
+const summariseVisits = (visits = []) => {
+  const completed = visits.filter(visit => !isOpenVisit(visit));
+  return {
+    count: visits.length,
+    open: visits.length - completed.length,
+    completed: completed.length,
+    totalMinutes: completed.reduce((sum, visit) => sum + (visit.durationMinutes || 0), 0)
+  };
+};
+
+// Per-technician totals for visits started in [from, to).
+// from / to: YYYY-MM-DD (IST days, inclusive); default the last 30 days.
+// Resolves to null when a date is invalid.
+const visitReport = async ({ technician, from, to }) => {
+  const start = from ? agendaWindow(from)?.from : new Date(Date.now() - DEFAULT_REPORT_DAYS * DAY);
+  const end = to ? agendaWindow(to)?.to : new Date();
+  if (!start || !end) return null;
+
+  const match = { 'visits.checkIn.at': { $gte: start, $lt: end } };
+  if (technician) match['visits.technician'] = technician;
+
+  const rows = await Complaint.aggregate([
+    { $match: match },
+    { $unwind: '$visits' },
+    { $match: match },
+    {
+      $group: {
+        _id: '$visits.technician',
+        visits: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $ifNull: ['$visits.checkOut.at', false] }, 1, 0] } },
+        totalMinutes: { $sum: '$visits.durationMinutes' },
+        averageMinutes: { $avg: '$visits.durationMinutes' },
+        complaints: { $addToSet: '$complaintId' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        technician: '$_id',
+        visits: 1,
+        completed: 1,
+        totalMinutes: 1,
+        averageMinutes: { $round: ['$averageMinutes', 1] },
+        complaints: { $size: '$complaints' }
+      }
+    },
+    { $sort: { totalMinutes: -1 } }
+  ]);
+
+  return { from: start, to: end, technicians: rows };
+};
+
+module.exports = {
+  parseLocation,
+  findOpenVisit,
+  findOpenVisitElsewhere,
+  checkIn,
+  checkOut,
+  summariseVisits,
+  visitReport
+};
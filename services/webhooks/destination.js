@@ -0,0 +1,84 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../../config/webhooks');
+
+/* ============================
+   PRIVATE & RESERVED ADDRESSES
+============================ */
+// Webhook URLs are chosen by organisations, so deliveries must never reach
+// loopback, private networks or cloud metadata endpoints. One list per family:
+// a BlockList also matches IPv4 addresses against IPv6 rules.
+const BLOCKED_V4 = new net.BlockList();
+const BLOCKED_V6 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_V4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped and NAT64 forms of any IPv4 address
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_V6.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_V4.check(address, 'ipv4');
+  return family === 6 ? BLOCKED_V6.check(address, 'ipv6') : true;
+};
+
+/* ============================
+   CHECKS
+============================ */
+// Resolves to an error message, or null when every address the URL's host
+// resolves to is public
+const checkDestination = async (url) => {
+  if (config.allowPrivateAddresses) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch {
+    return 'URL host could not be resolved';
+  }
+  return addresses.some(isPrivateAddress) ? 'URL must not point to a private or reserved address' : null;
+};
+
+// dns.lookup for the delivery agents: the address actually connected to is
+// checked again, so a host cannot be re-pointed inward after registration
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    if (!config.allowPrivateAddresses && entries.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private or reserved address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = { isPrivateAddress, checkDestination, publicLookup };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const Complaint = require('../../models/Complaint');
+const User = require('../../models/User');
+const config = require('../../config/webhooks');
+const { buildComplaintScope } = require('../complaintAccess');
+const { can, canAny } = require('../permissions');
+const { processDeliveries } = require('./worker');
+const { checkDestination } = require('./destination');
+
+/* ============================
+   EVENTS & PAYLOADS
+============================ */
+const WEBHOOK_EVENTS = [
+  'complaint.created',
+  'complaint.updated',
+  'complaint.status_changed',
+  'complaint.assigned',
+  'complaint.reopened'
+];
+
+// Fields sent to subscribers; never the tracking token, history or preferences
+const COMPLAINT_FIELDS = [
+  'complaintId', 'type', 'customerName', 'phone', 'email', 'city', 'address',
+  'issueType', 'description', 'status', 'remark', 'assignedTechnician',
+  'scheduledStart', 'scheduledEnd', 'dueAt', 'resolvedAt', 'createdAt', 'updatedAt'
+];
+
+const complaintPayload = (complaint) => {
+  const source = typeof complaint.toObject === 'function' ? complaint.toObject() : complaint;
+  return {
+    id: String(source._id),
+    ...Object.fromEntries(COMPLAINT_FIELDS.map(field => [field, source[field] ?? null]))
+  };
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Resolves to an error message, or null when { url, events } is acceptable
+const validateWebhookInput = async ({ url, events }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'A valid URL is required';
+  }
+  if (parsed.protocol !== 'https:' && !(config.allowHttp && parsed.protocol === 'http:')) {
+    return config.allowHttp ? 'URL must use http or https' : 'URL must use https';
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'At least one event is required';
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return checkDestination(url);
+};
+
+/* ============================
+   EMIT
+============================ */
+// Organisations only hear about complaints their members could see
+const canReceive = async (webhook, complaint) => {
+  const owner = await User.findById(webhook.owner.user).select('role username');
+  if (!canAny(owner, ['webhook:manage:any', 'webhook:manage:own'])) return false;
+  if (can(owner, 'webhook:manage:any')) return true;
+
+  const scope = await buildComplaintScope(owner, 'read');
+  if (!scope) return false;
+  return Boolean(await Complaint.exists({ $and: [{ _id: complaint._id }, scope] }));
+};
+
+// Queues one delivery per subscribed webhook. Never throws, so callers can
+// fire and forget like notify().
+const emitComplaintEvent = async (event, complaint, data = {}) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event });
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      event,
+      createdAt: new Date(),
+      data: { complaint: complaintPayload(complaint), ...data }
+    };
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      if (!(await canReceive(webhook, complaint))) continue;
+      deliveries.push({
+        webhook: webhook._id,
+        event,
+        complaint: complaint._id,
+        payload,
+        maxAttempts: config.maxAttempts
+      });
+    }
+
+    if (deliveries.length > 0) {
+      await WebhookDelivery.insertMany(deliveries);
+      setImmediate(processDeliveries);
+    }
+  } catch (err) {
+    console.error(`Webhook emit failed (${event}):`, err.message);
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  complaintPayload,
+  generateSecret,
+  validateWebhookInput,
+  emitComplaintEvent
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const config = require('../../config/webhooks');
+const { checkDestination, publicLookup } = require('./destination');
+
+/* ============================
+   SIGNING
+============================ */
+// Receivers recompute HMAC-SHA256(secret, "<t>.<raw body>") and compare it with
+// v1; t lets them reject replays of old deliveries.
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/* ============================
+   DELIVERY WORKER
+============================ */
+const backoffMs = (attempts) => config.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+// Atomically takes the next due delivery so parallel workers never double-send
+const claimNext = (now) =>
+  WebhookDelivery.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Connections only go to public addresses (see destination.js); no proxy, so
+// the address checked is the one connected to
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+const post = async (webhook, delivery) => {
+  // IP literals never reach the agents' lookup
+  const blocked = await checkDestination(webhook.url);
+  if (blocked) throw new Error(blocked);
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await axios.post(webhook.url, body, {
+    timeout: config.timeoutMs,
+    maxRedirects: 0,
+    proxy: false,
+    httpAgent,
+    httpsAgent,
+    validateStatus: () => true,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'WattOrbit-Webhooks/1.0',
+      'X-WattOrbit-Event': delivery.event,
+      'X-WattOrbit-Delivery': String(delivery._id),
+      'X-WattOrbit-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+    }
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const err = new Error(`Endpoint responded ${response.status}`);
+    err.responseStatus = response.status;
+    throw err;
+  }
+  return response.status;
+};
+
+// Resolves to the updated delivery document
+const attempt = async (delivery) => {
+  const at = new Date();
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  try {
+    if (!webhook || !webhook.active) throw new Error('Webhook deleted or disabled');
+
+    const responseStatus = await post(webhook, delivery);
+    return await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        $set: { status: 'delivered', deliveredAt: at, responseStatus, lastError: null },
+        $unset: { lockedAt: 1 },
+        $push: { attemptLog: { at, responseStatus, durationMs: Date.now() - at.getTime() } }
+      },
+      { new: true }
+    );
+  } catch (err) {
+    const exhausted = delivery.attempts >= delivery.maxAttempts || !webhook?.active;
+    console.error(
+      `Webhook ${exhausted ? 'dead-lettered' : 'failed'} (${delivery.event}) to ${webhook?.url}:`,
+      err.message
+    );
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        $set: {
+          status: exhausted ? 'dead' : 'queued',
+          nextAttemptAt: new Date(at.getTime() + backoffMs(delivery.attempts)),
+          responseStatus: err.responseStatus,
+          lastError: err.message
+        },
+        $unset: { lockedAt: 1 },
+        $push: {
+          attemptLog: {
+            at,
+            responseStatus: err.responseStatus,
+            durationMs: Date.now() - at.getTime(),
+            error: err.message
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+};
+
+let running = false;
+
+const processDeliveries = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+
+    // Recover deliveries left in "sending" by a crashed worker
+    await WebhookDelivery.updateMany(
+      {
+        status: 'sending',
+        lockedAt: { $lte: new Date(now.getTime() - config.lockTimeoutSeconds * 1000) }
+      },
+      { $set: { status: 'queued' }, $unset: { lockedAt: 1 } }
+    );
+
+    let delivery;
+    while ((delivery = await claimNext(new Date()))) {
+      await attempt(delivery);
+    }
+  } catch (err) {
+    console.error('Webhook worker error:', err.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Sends one delivery right now, outside the queue (test pings)
+const deliverNow = async (delivery) => {
+  const claimed = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: 'queued' },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  return claimed ? attempt(claimed) : WebhookDelivery.findById(delivery._id);
+};
+
+const startWebhookWorker = () => {
+  processDeliveries();
+  return setInterval(processDeliveries, config.pollSeconds * 1000);
+};
+
+module.exports = { signPayload, processDeliveries, deliverNow, startWebhookWorker };
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { serveRouter } = require('./support/http');
+const { createSession } = require('../services/sessions');
+const authRoutes = require('../routes/authRoutes');
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+
+const { call } = serveRouter('/api/auth', authRoutes);
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+let alice;
+
+test.beforeEach(async () => {
+  resetMemoryModels();
+  [alice] = await users.insert({ username: 'alice', password: 'hashed', role: 'user', isApproved: true });
+});
+
+test('logout with only the Bearer token ends that session', async () => {
+  const { accessToken } = await createSession(alice, req);
+
+  const { status } = await call('POST', '/logout', { token: accessToken });
+  assert.equal(status, 200);
+  assert.equal(sessions.all()[0].revokedReason, 'logout');
+});
+
+test('logout with neither token is a 400', async () => {
+  assert.equal((await call('POST', '/logout')).status, 400);
+});
+
+test('refresh without a body is a 401', async () => {
+  const { status, body } = await call('POST', '/refresh');
+  assert.equal(status, 401);
+  assert.equal(body.message, 'Invalid or expired refresh token');
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Complaint = require('../models/Complaint');
+const Organisation = require('../models/Organisation');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { can, canAny, scoped, permissionsFor } = require('../services/permissions');
+const { authorize, authorizeComplaint, authorizeOrganisation } = require('../middleware/authorize');
+
+const users = useMemoryModel(User);
+const complaints = useMemoryModel(Complaint);
+const organisations = useMemoryModel(Organisation);
+useMemoryModel(Session);
+
+const bearer = (user) =>
+  `Bearer ${jwt.sign({ id: user._id, username: user.username, role: user.role }, process.env.JWT_SECRET)}`;
+
+// Runs a middleware chain like Express; resolves to the response and whether
+// the last handler would have been reached
+const run = async (chain, { user, params = {} } = {}) => {
+  const req = { params, headers: user ? { authorization: bearer(user) } : {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  for (const middleware of chain.flat()) {
+    let next = false;
+    await middleware(req, res, () => { next = true; });
+    if (!next) return { req, res, passed: false };
+  }
+  return { req, res, passed: true };
+};
+
+const addUser = async (username, role, extra = {}) =>
+  (await users.insert({ username, password: 'hashed', role, isApproved: true, ...extra }))[0];
+
+const addComplaint = async (fields = {}) =>
+  (await complaints.insert({
+    complaintId: `WCR-2025-${1000 + complaints.all().length}`,
+    customerName: 'Ravi',
+    phone: '9876543210',
+    city: 'Lucknow',
+    issueType: 'No Power',
+    ...fields
+  }))[0];
+
+test.beforeEach(() => resetMemoryModels());
+
+/* ============================
+   PERMISSIONS
+============================ */
+test('roles map to their permissions', () => {
+  assert.equal(can({ role: 'admin' }, 'user:delete'), true);
+  assert.equal(can({ role: 'engineer' }, 'user:delete'), false);
+  assert.equal(can({ role: 'engineer' }, 'user:contact'), false);
+  assert.equal(can({ role: 'technician' }, 'complaint:read:assigned'), true);
+  assert.equal(can(null, 'complaint:read:any'), false);
+  assert.deepEqual(permissionsFor('visitor'), []);
+});
+
+test('scoped() expands to every complaint scope', () => {
+  assert.deepEqual(scoped('complaint:read'), [
+    'complaint:read:any',
+    'complaint:read:assigned',
+    'complaint:read:organisation',
+    'complaint:read:own'
+  ]);
+  assert.equal(canAny({ role: 'user' }, scoped('complaint:read')), true);
+  assert.equal(canAny({ role: 'user' }, scoped('complaint:update')), false);
+});
+
+/* ============================
+   authorize()
+============================ */
+test('authorize() needs a valid, current token', async () => {
+  const anonymous = await run(authorize('user:list'));
+  assert.equal(anonymous.res.statusCode, 401);
+
+  const ghost = { _id: new mongoose.Types.ObjectId(), username: 'ghost', role: 'admin' };
+  assert.equal((await run(authorize('user:list'), { user: ghost })).res.statusCode, 401);
+});
+
+test('authorize() passes callers holding any of the permissions', async () => {
+  const admin = await addUser('admin', 'admin');
+  const technician = await addUser('suresh', 'technician');
+
+  assert.equal((await run(authorize('user:list'), { user: admin })).passed, true);
+
+  const denied = await run(authorize('user:list'), { user: technician });
+  assert.equal(denied.passed, false);
+  assert.equal(denied.res.statusCode, 403);
+
+  assert.equal((await run(authorize('webhook:manage:any', 'complaint:visit'), { user: technician })).passed, true);
+});
+
+test('suspended accounts are refused', async () => {
+  const admin = await addUser('admin', 'admin', { suspendedAt: new Date() });
+  const { res } = await run(authorize('user:list'), { user: admin });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, 'Account suspended');
+});
+
+/* ============================
+   authorizeComplaint()
+============================ */
+test('technicians reach only their assignments', async () => {
+  const technician = await addUser('suresh', 'technician');
+  const mine = await addComplaint({ assignedTechnician: 'suresh' });
+  const other = await addComplaint({ assignedTechnician: 'ramesh' });
+
+  const allowed = await run(authorizeComplaint('read'), { user: technician, params: { id: String(mine._id) } });
+  assert.equal(allowed.passed, true);
+  assert.equal(allowed.req.complaint.complaintId, mine.complaintId);
+
+  const denied = await run(authorizeComplaint('update'), { user: technician, params: { id: String(other._id) } });
+  assert.equal(denied.res.statusCode, 403);
+});
+
+test('missing complaints are 404, malformed ids too', async () => {
+  const engineer = await addUser('eng', 'engineer');
+  const missing = await run(authorizeComplaint('read'), {
+    user: engineer,
+    params: { id: String(new mongoose.Types.ObjectId()) }
+  });
+  assert.equal(missing.res.statusCode, 404);
+
+  const malformed = await run(authorizeComplaint('read'), { user: engineer, params: { id: 'nope' } });
+  assert.equal(malformed.res.statusCode, 404);
+});
+
+test('customers read their own complaints but cannot update them', async () => {
+  const customer = await addUser('ravi', 'user');
+  const own = await addComplaint({ userId: customer._id });
+  const stranger = await addComplaint();
+
+  assert.equal((await run(authorizeComplaint('read'), { user: customer, params: { id: String(own._id) } })).passed, true);
+  assert.equal(
+    (await run(authorizeComplaint('read'), { user: customer, params: { id: String(stranger._id) } })).res.statusCode,
+    403
+  );
+
+  const update = await run(authorizeComplaint('update'), { user: customer, params: { id: String(own._id) } });
+  assert.deepEqual([update.res.statusCode, update.res.body.message], [403, 'Access denied']);
+});
+
+test('organisations read their members\' complaints only', async () => {
+  const [society, other] = await organisations.insert({ name: 'Green Park RWA' }, { name: 'Other RWA' });
+  const orgAdmin = await addUser('greenpark', 'organisation', { organisationId: society._id });
+  const member = await addUser('ravi', 'user', { organisationId: society._id });
+  const outsider = await addUser('meena', 'user', { organisationId: other._id });
+
+  const members = await addComplaint({ userId: member._id });
+  const outsiders = await addComplaint({ userId: outsider._id });
+
+  assert.equal((await run(authorizeComplaint('read'), { user: orgAdmin, params: { id: String(members._id) } })).passed, true);
+  assert.equal(
+    (await run(authorizeComplaint('read'), { user: orgAdmin, params: { id: String(outsiders._id) } })).res.statusCode,
+    403
+  );
+});
+
+test('an organisation account linked to nothing sees no complaints', async () => {
+  const orgAdmin = await addUser('loose', 'organisation');
+  const complaint = await addComplaint({ userId: orgAdmin._id });
+  const { res } = await run(authorizeComplaint('read'), { user: orgAdmin, params: { id: String(complaint._id) } });
+  assert.equal(res.statusCode, 403);
+});
+
+/* ============================
+   authorizeOrganisation()
+============================ */
+test('organisation admins manage only their own organisation', async () => {
+  const [society, other] = await organisations.insert({ name: 'Green Park RWA' }, { name: 'Other RWA' });
+  const orgAdmin = await addUser('greenpark', 'organisation', { organisationId: society._id });
+  const admin = await addUser('admin', 'admin');
+
+  const own = await run(authorizeOrganisation(), { user: orgAdmin, params: { id: String(society._id) } });
+  assert.equal(own.req.organisation.name, 'Green Park RWA');
+
+  assert.equal(
+    (await run(authorizeOrganisation(), { user: orgAdmin, params: { id: String(other._id) } })).res.statusCode,
+    403
+  );
+  assert.equal((await run(authorizeOrganisation(), { user: admin, params: { id: String(other._id) } })).passed, true);
+  assert.equal(
+    (await run(authorizeOrganisation(), { user: admin, params: { id: String(new mongoose.Types.ObjectId()) } })).res.statusCode,
+    404
+  );
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Complaint = require('../models/Complaint');
+const Counter = require('../models/Counter');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { createComplaint } = require('../services/complaintIntake');
+const { findOpenDuplicate } = require('../services/duplicates');
+const { findTrackedComplaints } = require('../services/complaintTracking');
+
+const complaints = useMemoryModel(Complaint);
+useMemoryModel(Counter);
+useMemoryModel(Notification);
+useMemoryModel(Webhook);
+// The stub provider logs every message
+test.mock.method(console, 'log', () => {});
+
+test.beforeEach(() => resetMemoryModels());
+
+const file = (fields = {}) => createComplaint({
+  customerName: 'Ravi',
+  phone: '9876543210',
+  email: ' Ravi@Example.com ',
+  city: 'Lucknow',
+  issueType: 'No Power',
+  ...fields
+}, { actor: { username: 'guest', role: 'guest' } });
+
+test('emails are stored lowercased and trimmed', async () => {
+  await file();
+  assert.equal(complaints.all()[0].email, 'ravi@example.com');
+});
+
+test('the same email typed differently finds the open duplicate', async () => {
+  const { complaint } = await file();
+  const duplicate = await findOpenDuplicate({ phone: '9123456789', email: 'RAVI@example.com', issueType: 'No Power' });
+  assert.equal(duplicate.complaintId, complaint.complaintId);
+});
+
+test('an email OTP tracks tickets filed with any capitalisation', async () => {
+  await file();
+  const { complaints: tracked } = await findTrackedComplaints(null, { channel: 'email', target: 'ravi@example.com' });
+  assert.equal(tracked.length, 1);
+});
+
+test('a new ticket keeps the preferences of earlier ones under another spelling', async () => {
+  await file();
+  await Complaint.updateMany({}, { $set: { 'notificationPreferences.events.statusUpdates': false } });
+
+  const { complaint } = await file({ phone: '+919876543210' });
+  assert.equal(complaint.notificationPreferences.events.statusUpdates, false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  canTransition,
+  allowedTransitions,
+  validateTransition,
+  validateUpdate
+} = require('../services/complaintLifecycle');
+
+test('staff move tickets along the lifecycle', () => {
+  assert.equal(canTransition('engineer', 'Pending', 'Scheduled'), true);
+  assert.equal(canTransition('technician', 'Scheduled', 'In Progress'), true);
+  assert.equal(canTransition('technician', 'Pending', 'Scheduled'), false);
+  assert.equal(canTransition('engineer', 'Closed', 'Reopened'), false);
+  assert.equal(canTransition('admin', 'Closed', 'Reopened'), true);
+});
+
+test('customers may only reopen resolved tickets', () => {
+  assert.deepEqual(allowedTransitions('customer', 'Resolved'), ['Reopened']);
+  assert.deepEqual(allowedTransitions('customer', 'Closed'), []);
+});
+
+test('unknown statuses are rejected with the list of statuses', () => {
+  const error = validateTransition('admin', 'Pending', 'Done');
+  assert.equal(error.status, 422);
+  assert.ok(error.allowedStatuses.includes('Scheduled'));
+});
+
+test('a disallowed move returns 409 with the allowed moves', () => {
+  const error = validateTransition('technician', 'Pending', 'Cancelled');
+  assert.equal(error.status, 409);
+  assert.deepEqual(error.allowedTransitions, ['In Progress']);
+});
+
+test('resolving needs a remark and rescheduling active work needs a reason', () => {
+  assert.deepEqual(validateTransition('technician', 'In Progress', 'Resolved', {}).missingFields, ['remark']);
+  assert.deepEqual(
+    validateTransition('technician', 'In Progress', 'Scheduled', { rescheduleReason: '  ' }).missingFields,
+    ['rescheduleReason']
+  );
+  assert.equal(validateTransition('technician', 'In Progress', 'Resolved', { remark: 'Fuse replaced' }), null);
+});
+
+test('PATCH bodies are limited to the role\'s fields', () => {
+  const current = { status: 'Pending' };
+
+  const error = validateUpdate('technician', current, { customerName: 'X' });
+  assert.equal(error.status, 403);
+  assert.deepEqual(error.forbiddenFields, ['customerName']);
+
+  assert.equal(validateUpdate('engineer', current, { description: 'More detail' }), null);
+  assert.equal(validateUpdate('user', current, { remark: 'x' }).status, 403);
+});
+
+test('technicians cannot be assigned through PATCH', () => {
+  const error = validateUpdate('admin', { status: 'Pending' }, { assignedTechnician: 'suresh' });
+  assert.equal(error.status, 403);
+  assert.match(error.message, /\/assign/);
+});
+
+test('an unchanged status skips the transition check', () => {
+  assert.equal(validateUpdate('technician', { status: 'Resolved' }, { status: 'Resolved', remark: 'x' }), null);
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Complaint = require('../models/Complaint');
+const City = require('../models/City');
+const Notification = require('../models/Notification');
+const OtpChallenge = require('../models/OtpChallenge');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { serveRouter } = require('./support/http');
+const { requestOtp, verifyOtp } = require('../services/otp');
+const webhooks = require('../services/webhooks');
+// Before the routes take their own reference to it
+const emitted = test.mock.method(webhooks, 'emitComplaintEvent', async () => {});
+const complaintRoutes = require('../routes/complaintRoutes');
+
+const users = useMemoryModel(User);
+const complaints = useMemoryModel(Complaint);
+useMemoryModel(Session);
+useMemoryModel(City);
+useMemoryModel(Notification);
+useMemoryModel(OtpChallenge);
+// Workloads are counted with an aggregate; every technician starts idle
+test.mock.method(Complaint, 'aggregate', async () => []);
+test.mock.method(crypto, 'randomInt', () => 123456);
+// The stub provider logs every message
+test.mock.method(console, 'log', () => {});
+
+const { call } = serveRouter('/api/complaints', complaintRoutes);
+
+let engineer;
+let complaint;
+
+test.beforeEach(async () => {
+  resetMemoryModels();
+  emitted.mock.resetCalls();
+  [engineer] = await users.insert(
+    { username: 'eng', password: 'hashed', role: 'engineer', isApproved: true },
+    { username: 'suresh', password: 'hashed', role: 'technician', city: 'Lucknow', isApproved: true }
+  );
+  [complaint] = await complaints.insert({
+    complaintId: 'WCR-2025-1000',
+    customerName: 'Ravi',
+    phone: '9876543210',
+    city: 'Lucknow',
+    issueType: 'No Power'
+  });
+});
+
+/* ============================
+   ASSIGN
+============================ */
+test('assign without a body previews the automatic pick', async () => {
+  const { status, body } = await call('POST', `/${complaint._id}/assign?preview=true`, { user: engineer });
+  assert.equal(status, 200);
+  assert.equal(body.technician.username, 'suresh');
+  assert.equal(complaints.all()[0].assignedTechnician, undefined);
+});
+
+test('assign without a body picks by city and workload', async () => {
+  const { status, body } = await call('POST', `/${complaint._id}/assign`, { user: engineer });
+  assert.equal(status, 200);
+  assert.equal(body.assignedTechnician, 'suresh');
+  assert.equal(body.assignment.mode, 'auto');
+});
+
+test('a manual assignment still needs a reason', async () => {
+  const { status, body } = await call('POST', `/${complaint._id}/assign`, {
+    user: engineer,
+    body: { technician: 'suresh' }
+  });
+  assert.equal(status, 422);
+  assert.deepEqual(body.missingFields, ['reason']);
+});
+
+/* ============================
+   CLAIM
+============================ */
+const verifiedFor = async (phone, purpose) => {
+  const { challengeId } = await requestOtp({ phone, purpose });
+  const { verificationToken } = await verifyOtp({ challengeId, code: '123456' });
+  return { 'x-verification-token': verificationToken };
+};
+
+test('claiming without a body takes every claimable ticket', async () => {
+  const [customer] = await users.insert({ username: 'ravi', password: 'hashed', role: 'user', isApproved: true });
+  await complaints.insert({
+    complaintId: 'WCR-2025-1001',
+    customerName: 'Ravi',
+    phone: '+919876543210',
+    city: 'Lucknow',
+    issueType: 'Low Voltage'
+  });
+
+  const { status, body } = await call('POST', '/claim', {
+    user: customer,
+    headers: await verifiedFor('9876543210', 'claim')
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.claimed.sort(), ['WCR-2025-1000', 'WCR-2025-1001']);
+});
+
+/* ============================
+   VISITS
+============================ */
+const LOCATION = { lat: 26.85, lng: 80.95 };
+
+test('checking in needs a location, even with no body', async () => {
+  await Complaint.updateOne({ _id: complaint._id }, { $set: { assignedTechnician: 'suresh' } });
+  const technician = users.all().find(user => user.username === 'suresh');
+
+  const { status, body } = await call('POST', `/${complaint._id}/visits/check-in`, { user: technician });
+  assert.equal(status, 400);
+  assert.match(body.message, /location/);
+});
+
+test('checking in announces the status change like PATCH does', async () => {
+  await Complaint.updateOne({ _id: complaint._id }, { $set: { assignedTechnician: 'suresh', status: 'Scheduled' } });
+  const technician = users.all().find(user => user.username === 'suresh');
+
+  const { status } = await call('POST', `/${complaint._id}/visits/check-in`, {
+    user: technician,
+    body: { location: LOCATION }
+  });
+  assert.equal(status, 201);
+  assert.deepEqual(emitted.mock.calls.map(({ arguments: [event] }) => event), [
+    'complaint.updated',
+    'complaint.status_changed'
+  ]);
+  assert.deepEqual(emitted.mock.calls[0].arguments[2].changes, [
+    { field: 'status', from: 'Scheduled', to: 'In Progress' }
+  ]);
+});
+
+test('checking out of a malformed or missing complaint is a 404', async () => {
+  const technician = users.all().find(user => user.username === 'suresh');
+  const checkOut = (id) => call('POST', `/${id}/visits/check-out`, { user: technician, body: { location: LOCATION } });
+
+  assert.equal((await checkOut('nope')).status, 404);
+  assert.equal((await checkOut(String(new mongoose.Types.ObjectId()))).status, 404);
+  assert.equal((await call('POST', '/nope/visits/check-out', { user: technician })).status, 400);
+});
+
+/* ============================
+   REOPEN & FEEDBACK
+============================ */
+const resolvedFor = async (customer) => {
+  await Complaint.updateOne(
+    { _id: complaint._id },
+    { $set: { userId: customer._id, status: 'Resolved', resolvedAt: new Date() } }
+  );
+};
+
+test('reopen and feedback without a body are validation errors', async () => {
+  const [customer] = await users.insert({ username: 'ravi', password: 'hashed', role: 'user', isApproved: true });
+  await resolvedFor(customer);
+
+  const reopen = await call('POST', `/${complaint._id}/reopen`, { user: customer });
+  assert.equal(reopen.status, 422);
+  assert.equal(reopen.body.message, 'A reason is required to reopen');
+
+  const feedback = await call('POST', `/${complaint._id}/feedback`, { user: customer });
+  assert.equal(feedback.status, 400);
+});
+
+test('staff reopening through PATCH resets the SLA like a customer reopen', async () => {
+  const [admin] = await users.insert({ username: 'admin', password: 'hashed', role: 'admin', isApproved: true });
+  const overdue = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  await Complaint.updateOne(
+    { _id: complaint._id },
+    { $set: { status: 'Closed', dueAt: overdue, sla: { targetHours: 48, escalationLevel: 2, breachedAt: overdue } } }
+  );
+
+  const { status, body } = await call('PATCH', `/${complaint._id}`, {
+    user: admin,
+    body: { status: 'Reopened', remark: 'Fault came back' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'Reopened');
+  assert.ok(new Date(body.dueAt) > new Date());
+  assert.equal(body.sla.escalationLevel, 0);
+  assert.equal(body.sla.breachedAt, undefined);
+
+  const events = emitted.mock.calls.map(({ arguments: [event] }) => event);
+  assert.equal(events.filter(event => event === 'complaint.reopened').length, 1);
+  assert.equal(complaints.all()[0].history.at(-1).action, 'reopened');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Complaint = require('../models/Complaint');
+const Comment = require('../models/Comment');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { processInboundEmail } = require('../services/inboundEmail');
+
+const complaints = useMemoryModel(Complaint);
+const comments = useMemoryModel(Comment);
+
+test.beforeEach(() => resetMemoryModels());
+
+const reply = (ticketId, text, from = 'ravi@example.com') => Buffer.from([
+  `From: Ravi <${from}>`,
+  'To: support@wattorbit.in',
+  `Subject: Re: Update on Ticket ${ticketId}`,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text,
+  '',
+  'On Mon, 2 Jun 2025 at 10:00, WattOrbit Support wrote:',
+  '> Your ticket was updated'
+].join('\r\n'));
+
+const addComplaint = async (complaintId, fields = {}) =>
+  (await complaints.insert({
+    complaintId,
+    customerName: 'Ravi',
+    phone: '9876543210',
+    email: 'ravi@example.com',
+    city: 'Lucknow',
+    issueType: 'No Power',
+    ...fields
+  }))[0];
+
+test('a reply is added to the ticket named in the subject', async () => {
+  const complaint = await addComplaint('WCR-2025-1000');
+
+  const result = await processInboundEmail(reply('WCR-2025-1000', 'Still no power'));
+  assert.equal(result.status, 'accepted');
+  assert.equal(comments.all()[0].body, 'Still no power');
+  assert.equal(String(comments.all()[0].complaint), String(complaint._id));
+});
+
+test('replies to a merged duplicate land on the primary ticket', async () => {
+  const primary = await addComplaint('WCR-2025-1000');
+  await addComplaint('WCR-2025-1001', { status: 'Closed', mergedInto: primary._id });
+
+  const result = await processInboundEmail(reply('WCR-2025-1001', 'Any update?'));
+  assert.equal(result.complaintId, 'WCR-2025-1000');
+  assert.equal(result.mergedFrom, 'WCR-2025-1001');
+  assert.equal(String(comments.all()[0].complaint), String(primary._id));
+});
+
+test('only the address the ticket was filed with may reply', async () => {
+  await addComplaint('WCR-2025-1000');
+  const result = await processInboundEmail(reply('WCR-2025-1000', 'Hello', 'someone@example.com'));
+  assert.equal(result.status, 'ignored');
+  assert.equal(comments.all().length, 0);
+});
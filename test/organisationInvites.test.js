@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Organisation = require('../models/Organisation');
+const OrganisationInvite = require('../models/OrganisationInvite');
+const Notification = require('../models/Notification');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { createInvite, acceptInvite } = require('../services/organisations');
+
+const users = useMemoryModel(User);
+const organisations = useMemoryModel(Organisation);
+const invites = useMemoryModel(OrganisationInvite);
+const notifications = useMemoryModel(Notification);
+// The stub provider logs every message
+test.mock.method(console, 'log', () => {});
+
+let society;
+let orgAdmin;
+
+test.beforeEach(async () => {
+  resetMemoryModels();
+  [society] = await organisations.insert({ name: 'Green Park RWA' });
+  [orgAdmin] = await users.insert({
+    username: 'greenpark',
+    password: 'hashed',
+    role: 'organisation',
+    organisationId: society._id,
+    isApproved: true
+  });
+});
+
+const inviter = () => ({ id: orgAdmin._id, username: orgAdmin.username });
+
+// The token only ever leaves the server inside the invite message
+const tokenSentTo = (target) => {
+  const message = notifications.all().filter(notification => notification.to === target).at(-1);
+  const [, token] = (message.text || message.html).match(/token=([^\s"&<]+)/);
+  return decodeURIComponent(token);
+};
+
+const invite = async (contact = { phone: '9876543210' }) => {
+  const result = await createInvite(society, contact, inviter());
+  assert.ok(result.invite, result.message);
+  return tokenSentTo(result.invite.target);
+};
+
+const addCustomer = async (fields = {}) =>
+  (await users.insert({ username: 'ravi', password: 'hashed', role: 'user', isApproved: true, ...fields }))[0];
+
+/* ============================
+   SENDING
+============================ */
+test('invites go out by SMS or email and store only a hash', async () => {
+  const token = await invite();
+  await invite({ email: 'Meena@Example.com' });
+
+  const [sms, email] = invites.all();
+  assert.deepEqual([sms.channel, sms.target], ['sms', '+919876543210']);
+  assert.deepEqual([email.channel, email.target], ['email', 'meena@example.com']);
+  assert.ok(!JSON.stringify(sms).includes(token.split('.')[1]));
+});
+
+test('bad contacts, inactive organisations and existing members are refused', async () => {
+  assert.equal((await createInvite(society, { phone: '12' }, inviter())).status, 400);
+
+  await addCustomer({ phone: '9876543210', organisationId: society._id });
+  assert.equal((await createInvite(society, { phone: '+919876543210' }, inviter())).status, 409);
+
+  society.active = false;
+  assert.equal((await createInvite(society, { phone: '9123456789' }, inviter())).status, 409);
+});
+
+test('inviting the same contact again revokes the earlier invite', async () => {
+  const first = await invite();
+  await invite();
+
+  const customer = await addCustomer();
+  assert.equal((await acceptInvite(first, { user: { id: customer._id } })).status, 410);
+});
+
+/* ============================
+   ACCEPTING
+============================ */
+test('a logged-in customer joins with the invite, once', async () => {
+  const token = await invite();
+  const customer = await addCustomer();
+
+  const result = await acceptInvite(token, { user: { id: customer._id } });
+  assert.equal(result.registered, false);
+  assert.equal(String(users.all().find(user => user.username === 'ravi').organisationId), String(society._id));
+  assert.equal(String(invites.all()[0].acceptedBy), String(customer._id));
+
+  const other = (await users.insert({ username: 'meena', password: 'hashed', role: 'user' }))[0];
+  assert.equal((await acceptInvite(token, { user: { id: other._id } })).status, 410);
+});
+
+test('only customer accounts outside other organisations can join', async () => {
+  const token = await invite();
+
+  const [technician] = await users.insert({ username: 'suresh', password: 'hashed', role: 'technician' });
+  assert.equal((await acceptInvite(token, { user: { id: technician._id } })).status, 403);
+
+  const [elsewhere] = await organisations.insert({ name: 'Other RWA' });
+  const member = await addCustomer({ organisationId: elsewhere._id });
+  assert.equal((await acceptInvite(token, { user: { id: member._id } })).status, 409);
+
+  // The refusals did not use up the invite
+  const customer = (await users.insert({ username: 'meena', password: 'hashed', role: 'user' }))[0];
+  assert.equal((await acceptInvite(token, { user: { id: customer._id } })).registered, false);
+});
+
+test('without an account, accepting registers one pending approval', async () => {
+  const token = await invite();
+
+  const result = await acceptInvite(token, { registration: { username: ' Ravi ', password: 'secret123', name: 'Ravi' } });
+  assert.equal(result.registered, true);
+
+  const account = users.all().find(user => user.username === 'ravi');
+  assert.equal(account.phone, '+919876543210');
+  assert.equal(account.isApproved, false);
+  assert.equal(String(account.organisationId), String(society._id));
+});
+
+test('registration refuses taken usernames and known contacts without using the invite', async () => {
+  const token = await invite();
+  await addCustomer({ username: 'taken' });
+  assert.equal((await acceptInvite(token, { registration: { username: 'taken', password: 'x' } })).status, 409);
+
+  await addCustomer({ username: 'existing', phone: '09876543210' });
+  const known = await acceptInvite(token, { registration: { username: 'fresh', password: 'x' } });
+  assert.equal(known.status, 409);
+  assert.match(known.message, /Log in/);
+
+  assert.equal(invites.all()[0].acceptedAt, undefined);
+  assert.equal((await acceptInvite(token, {})).status, 400);
+});
+
+test('expired, tampered and malformed tokens are refused', async () => {
+  const token = await invite();
+  const customer = await addCustomer();
+
+  const [id] = token.split('.');
+  assert.equal((await acceptInvite(`${id}.guessed`, { user: { id: customer._id } })).status, 410);
+  assert.equal((await acceptInvite('garbage', { user: { id: customer._id } })).status, 400);
+
+  await OrganisationInvite.updateOne({ _id: id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  assert.equal((await acceptInvite(token, { user: { id: customer._id } })).status, 410);
+});
+
+test('invites of an organisation deactivated since are refused', async () => {
+  const token = await invite();
+  const customer = await addCustomer();
+
+  await Organisation.updateOne({ _id: society._id }, { $set: { active: false } });
+  assert.equal((await acceptInvite(token, { user: { id: customer._id } })).status, 409);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const OtpChallenge = require('../models/OtpChallenge');
+const Notification = require('../models/Notification');
+const otpConfig = require('../config/otp');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const {
+  requestOtp,
+  verifyOtp,
+  readVerificationToken,
+  matchesContact
+} = require('../services/otp');
+
+const CODE = '123456';
+
+const challenges = useMemoryModel(OtpChallenge);
+const notifications = useMemoryModel(Notification);
+test.mock.method(crypto, 'randomInt', () => Number(CODE));
+// The stub provider logs every message
+test.mock.method(console, 'log', () => {});
+
+test.beforeEach(() => resetMemoryModels());
+
+const issue = (overrides = {}) => requestOtp({ phone: '98765 43210', purpose: 'track', ...overrides });
+
+test('a code goes out by SMS and only its hash is stored', async () => {
+  const result = await issue();
+
+  assert.equal(result.channel, 'sms');
+  const [stored] = challenges.all();
+  assert.equal(stored.target, '+919876543210');
+  assert.notEqual(stored.codeHash, CODE);
+  assert.match(notifications.all()[0].text, new RegExp(CODE));
+});
+
+test('every configured purpose can be requested', async () => {
+  for (const [i, purpose] of otpConfig.purposes.entries()) {
+    const result = await requestOtp({ email: `user${i}@example.com`, purpose });
+    assert.ok(result.challengeId, `purpose ${purpose}: ${result.message}`);
+  }
+  assert.deepEqual(challenges.all().map(challenge => challenge.purpose), otpConfig.purposes);
+});
+
+test('unknown purposes and unusable contacts are refused', async () => {
+  assert.equal((await issue({ purpose: 'login' })).status, 400);
+  assert.equal((await requestOtp({ phone: '123', purpose: 'track' })).status, 400);
+  assert.equal(challenges.all().length, 0);
+});
+
+test('a second code for the same contact must wait', async () => {
+  await issue();
+  const again = await issue({ phone: '+91 9876543210' });
+  assert.equal(again.status, 429);
+  assert.ok(again.retryAfter > 0);
+});
+
+test('the right code yields a token for that purpose and contact only', async () => {
+  const { challengeId } = await issue({ purpose: 'claim' });
+  const { verificationToken } = await verifyOtp({ challengeId, code: CODE });
+
+  const verification = readVerificationToken(verificationToken, 'claim');
+  assert.equal(verification.target, '+919876543210');
+  assert.equal(readVerificationToken(verificationToken, 'track'), null);
+  assert.equal(matchesContact(verification, { phone: '09876543210' }), true);
+  assert.equal(matchesContact(verification, { phone: '9876500000' }), false);
+});
+
+test('a verified code cannot be used again', async () => {
+  const { challengeId } = await issue();
+  await verifyOtp({ challengeId, code: CODE });
+  assert.equal((await verifyOtp({ challengeId, code: CODE })).status, 410);
+});
+
+test('wrong codes count against the attempt limit', async () => {
+  const { challengeId } = await issue();
+
+  for (let left = otpConfig.maxAttempts - 1; left >= 0; left -= 1) {
+    const wrong = await verifyOtp({ challengeId, code: '000000' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.attemptsLeft, left);
+  }
+  // Even the right code is refused once the attempts are used up
+  assert.equal((await verifyOtp({ challengeId, code: CODE })).status, 410);
+});
+
+test('verification tokens signed with another key are ignored', () => {
+  const jwt = require('jsonwebtoken');
+  const forged = jwt.sign({ purpose: 'track', channel: 'sms', target: '+919876543210' }, 'other');
+  assert.equal(readVerificationToken(forged, 'track'), null);
+});
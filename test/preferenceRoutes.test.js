@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Complaint = require('../models/Complaint');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { serveRouter } = require('./support/http');
+const { signPreferencesToken } = require('../services/notifications/preferences');
+const preferenceRoutes = require('../routes/preferenceRoutes');
+
+const complaints = useMemoryModel(Complaint);
+
+const { call } = serveRouter('/api/preferences', preferenceRoutes);
+
+test.beforeEach(() => resetMemoryModels());
+
+const addComplaint = async (complaintId, phone) =>
+  (await complaints.insert({ complaintId, customerName: 'Ravi', phone, city: 'Lucknow', issueType: 'No Power' }))[0];
+
+test('unsubscribing from one ticket covers every spelling of the number', async () => {
+  const web = await addComplaint('WCR-2025-1000', '9876543210');
+  await addComplaint('WCR-2025-1001', '+919876543210');
+  await addComplaint('WCR-2025-1002', '+91 9876543210');
+  await addComplaint('WCR-2025-1003', '9123456789');
+
+  const { status } = await call('POST', `/${signPreferencesToken('c', web._id)}/unsubscribe`);
+  assert.equal(status, 200);
+
+  const statusUpdates = complaints.all().map(complaint => complaint.notificationPreferences.events.statusUpdates);
+  assert.deepEqual(statusUpdates, [false, false, false, true]);
+});
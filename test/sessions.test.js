@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const {
+  checkAccessToken,
+  createSession,
+  rotateSession,
+  invalidateUserSessions
+} = require('../services/sessions');
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+let alice;
+
+test.beforeEach(async () => {
+  resetMemoryModels();
+  [alice] = await users.insert({ username: 'alice', password: 'hashed', role: 'user', isApproved: true });
+});
+
+test('login issues an access token bound to the session', async () => {
+  const { accessToken, refreshToken, session } = await createSession(alice, req);
+  const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+
+  assert.equal(payload.sid, String(session._id));
+  assert.equal(payload.tv, 0);
+  assert.ok(refreshToken.startsWith(`${session._id}.`));
+  // Only the hash is stored
+  assert.notEqual(sessions.all()[0].tokenHash, refreshToken);
+  assert.equal(await checkAccessToken(payload), null);
+});
+
+test('refreshing rotates the token pair', async () => {
+  const { refreshToken } = await createSession(alice, req);
+
+  const rotated = await rotateSession(refreshToken, req);
+  assert.ok(rotated.accessToken);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  const again = await rotateSession(rotated.refreshToken, req);
+  assert.ok(again.accessToken);
+});
+
+test('a rotated-out refresh token ends the session', async () => {
+  const { refreshToken } = await createSession(alice, req);
+  const rotated = await rotateSession(refreshToken, req);
+
+  const reuse = await rotateSession(refreshToken, req);
+  assert.equal(reuse.status, 401);
+  assert.match(reuse.message, /reuse detected/);
+  assert.equal(sessions.all()[0].revokedReason, 'refresh_token_reuse');
+
+  // The legitimate holder is logged out too
+  const next = await rotateSession(rotated.refreshToken, req);
+  assert.equal(next.status, 401);
+  const payload = jwt.verify(rotated.accessToken, process.env.JWT_SECRET);
+  assert.equal((await checkAccessToken(payload)).status, 401);
+});
+
+test('unknown or malformed refresh tokens are rejected', async () => {
+  assert.equal((await rotateSession('nonsense', req)).status, 401);
+  const { session } = await createSession(alice, req);
+  const forged = await rotateSession(`${session._id}.forged`, req);
+  assert.deepEqual(forged, { status: 401, message: 'Invalid or expired refresh token' });
+});
+
+test('invalidating a user ends their access tokens and sessions', async () => {
+  const { accessToken, refreshToken } = await createSession(alice, req);
+  await invalidateUserSessions(alice._id, 'password_reset');
+
+  const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+  assert.equal((await checkAccessToken(payload)).status, 401);
+  assert.equal((await rotateSession(refreshToken, req)).status, 401);
+});
+
+test('suspended users are refused with 403 and cannot refresh', async () => {
+  const { accessToken, refreshToken } = await createSession(alice, req);
+  await User.updateOne({ _id: alice._id }, { $set: { suspendedAt: new Date() } });
+
+  const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+  assert.deepEqual(await checkAccessToken(payload), { status: 403, message: 'Account suspended' });
+  assert.equal((await rotateSession(refreshToken, req)).status, 401);
+});
+
+test('tokens of deleted users are rejected', async () => {
+  const { accessToken } = await createSession(alice, req);
+  await User.deleteOne({ _id: alice._id });
+
+  const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+  assert.equal((await checkAccessToken(payload)).status, 401);
+});
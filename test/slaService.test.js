@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Complaint = require('../models/Complaint');
+const Notification = require('../models/Notification');
+const { useMemoryModel, resetMemoryModels } = require('./support/memoryModels');
+const { getSlaState, runSlaSweep } = require('../services/slaService');
+
+const users = useMemoryModel(User);
+const complaints = useMemoryModel(Complaint);
+const notifications = useMemoryModel(Notification);
+// The stub provider logs every message
+test.mock.method(console, 'log', () => {});
+
+test.beforeEach(() => resetMemoryModels());
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-06-10T12:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * HOUR);
+
+test('open tickets are at risk in the last quarter of their window', () => {
+  const ticket = { status: 'Pending', createdAt: hoursFromNow(-40), sla: { targetHours: 48 } };
+  assert.equal(getSlaState({ ...ticket, dueAt: hoursFromNow(8) }, now), 'at-risk');
+  assert.equal(getSlaState({ ...ticket, createdAt: hoursFromNow(-10), dueAt: hoursFromNow(38) }, now), 'on-track');
+  assert.equal(getSlaState({ ...ticket, dueAt: hoursFromNow(-1) }, now), 'breached');
+});
+
+test('a reopened ticket is measured against its fresh window', () => {
+  const reopened = {
+    status: 'Reopened',
+    createdAt: hoursFromNow(-240),
+    dueAt: hoursFromNow(47),
+    sla: { targetHours: 48, escalationLevel: 0 }
+  };
+  assert.equal(getSlaState(reopened, now), 'on-track');
+});
+
+test('tickets without a stored target fall back to the time since filing', () => {
+  const legacy = { status: 'Pending', createdAt: hoursFromNow(-40), dueAt: hoursFromNow(8) };
+  assert.equal(getSlaState(legacy, now), 'at-risk');
+  assert.equal(getSlaState({ ...legacy, dueAt: undefined }, now), null);
+});
+
+test('escalations skip suspended staff', async () => {
+  await users.insert(
+    { username: 'eng', password: 'hashed', role: 'engineer', city: 'Lucknow', email: 'eng@example.com', isApproved: true },
+    {
+      username: 'gone',
+      password: 'hashed',
+      role: 'engineer',
+      city: 'Lucknow',
+      email: 'gone@example.com',
+      isApproved: true,
+      suspendedAt: new Date()
+    }
+  );
+  await complaints.insert({
+    complaintId: 'WCR-2025-1000',
+    customerName: 'Ravi',
+    phone: '9876543210',
+    city: 'Lucknow',
+    issueType: 'No Power',
+    dueAt: new Date(Date.now() - HOUR),
+    sla: { targetHours: 48, escalationLevel: 0 }
+  });
+
+  assert.equal((await runSlaSweep()).breached, 1);
+  assert.deepEqual(notifications.all().map(notification => notification.to), ['eng@example.com']);
+});
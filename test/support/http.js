@@ -0,0 +1,44 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const test = require('node:test');
+
+const bearer = (user) =>
+  `Bearer ${jwt.sign({ id: user._id, username: user.username, role: user.role }, process.env.JWT_SECRET)}`;
+
+// Mounts the router as server.js does and serves it on a free port for the
+// tests of the calling file. call() sends no body at all unless one is given,
+// the way a client posting only a Bearer token would.
+const serveRouter = (mountPath, router) => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  let server;
+  let baseUrl;
+
+  test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+  });
+  test.after(() => new Promise(resolve => server.close(resolve)));
+
+  const call = async (method, path, { user, token, body, headers: extra = {} } = {}) => {
+    const headers = { ...extra };
+    if (user) headers.authorization = bearer(user);
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body) headers['content-type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { call };
+};
+
+module.exports = { serveRouter };
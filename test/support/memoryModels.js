@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+
+// In-memory stand-in for the Mongoose calls the services make, so they can be
+// tested without a database. Documents are validated on save and handed back
+// hydrated, so .save(), casting and ObjectId comparisons behave as in
+// production. Only the query and update operators the services use exist.
+// Each test file runs in its own process: install the models once at the top
+// of the file and call resetMemoryModels() before each test.
+
+// A model left out fails right away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const stores = new Map();
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !isObjectId(value) && !(value instanceof RegExp);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return String(value);
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+  if (parent) delete parent[last];
+};
+
+/* ============================
+   MATCHING
+============================ */
+const equals = (a, b) => (a == null && b == null) || comparable(a) === comparable(b);
+
+const OPERATORS = {
+  $gt: (value, arg) => value != null && comparable(value) > comparable(arg),
+  $gte: (value, arg) => value != null && comparable(value) >= comparable(arg),
+  $lt: (value, arg) => value != null && comparable(value) < comparable(arg),
+  $lte: (value, arg) => value != null && comparable(value) <= comparable(arg),
+  $ne: (value, arg) => !matchValue(value, arg),
+  $in: (value, arg) => arg.some(item => matchValue(value, item)),
+  $nin: (value, arg) => !arg.some(item => matchValue(value, item)),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+  $not: (value, arg) => !matchValue(value, arg),
+  $elemMatch: (value, arg) => Array.isArray(value) && value.some(item => matches(item, arg))
+};
+
+const matchValue = (value, condition) => {
+  if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([op, arg]) => {
+      if (!OPERATORS[op]) throw new Error(`memoryModels: unsupported operator ${op}`);
+      return OPERATORS[op](value, arg);
+    });
+  }
+  if (condition instanceof RegExp) {
+    return [].concat(value).some(item => typeof item === 'string' && condition.test(item));
+  }
+  if (Array.isArray(value)) return value.some(item => equals(item, condition));
+  return equals(value, condition);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    return matchValue(getPath(doc, key), condition);
+  });
+
+/* ============================
+   UPDATES
+============================ */
+const applyUpdate = (doc, update) => {
+  const ops = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(ops.$set || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  Object.keys(ops.$unset || {}).forEach(path => unsetPath(doc, path));
+  Object.entries(ops.$inc || {}).forEach(([path, by]) => setPath(doc, path, (getPath(doc, path) || 0) + by));
+  Object.entries(ops.$push || {}).forEach(([path, value]) => {
+    const list = getPath(doc, path) || [];
+    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+    let next = [...list, ...clone(items)];
+    if (isPlainObject(value) && value.$slice !== undefined) next = next.slice(value.$slice);
+    setPath(doc, path, next);
+  });
+  Object.entries(ops.$addToSet || {}).forEach(([path, value]) => {
+    const list = getPath(doc, path) || [];
+    if (!list.some(item => equals(item, value))) setPath(doc, path, [...list, clone(value)]);
+  });
+  Object.entries(ops.$pull || {}).forEach(([path, value]) => {
+    setPath(doc, path, (getPath(doc, path) || []).filter(item => !matchValue(item, value)));
+  });
+  if ('updatedAt' in doc) doc.updatedAt = new Date();
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = comparable(getPath(a, key));
+      const y = comparable(getPath(b, key));
+      if (x === y) continue;
+      if (x == null) return -direction;
+      if (y == null) return direction;
+      return x < y ? -direction : direction;
+    }
+    return 0;
+  });
+};
+
+/* ============================
+   QUERIES
+============================ */
+// Chainable like a Mongoose query; select() is ignored (every field comes back)
+class MemoryQuery {
+  constructor(model, run, shape) {
+    this.model = model;
+    this.run = run;
+    this.shape = shape;
+    this.options = { populate: [] };
+  }
+
+  select() { return this; }
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  lean() { this.options.lean = true; return this; }
+  populate(path) { this.options.populate.push(path); return this; }
+
+  wrap(raw) {
+    if (!raw) return raw;
+    if (this.options.lean) return clone(raw);
+
+    const doc = this.model.hydrate(clone(raw));
+    for (const path of this.options.populate) {
+      const ref = mongoose.model(this.model.schema.path(path).options.ref);
+      const target = stores.get(ref.modelName)?.find(item => equals(item._id, raw[path]));
+      if (target) doc.set(path, ref.hydrate(clone(target)));
+    }
+    return doc;
+  }
+
+  async exec() {
+    const result = this.run(this.options);
+    if (this.shape === 'many') {
+      const start = this.options.skip || 0;
+      const end = this.options.limit ? start + this.options.limit : undefined;
+      return result.slice(start, end).map(raw => this.wrap(raw));
+    }
+    return this.shape === 'one' ? this.wrap(result) : result;
+  }
+
+  then(resolve, reject) { return this.exec().then(resolve, reject); }
+  catch(reject) { return this.exec().catch(reject); }
+}
+
+/* ============================
+   MODELS
+============================ */
+const storeOf = (model) => stores.get(model.modelName);
+
+const saveDoc = (model, doc) => {
+  const error = doc.validateSync();
+  if (error) throw error;
+
+  const now = new Date();
+  if (model.schema.path('createdAt') && !doc.createdAt) doc.createdAt = now;
+  if (model.schema.path('updatedAt')) doc.updatedAt = now;
+
+  const store = storeOf(model);
+  const raw = doc.toObject({ depopulate: true });
+  const index = store.findIndex(item => equals(item._id, raw._id));
+  if (index === -1) store.push(raw);
+  else store[index] = raw;
+
+  doc.isNew = false;
+  return doc;
+};
+
+const idFilter = (id) => ({ _id: id });
+
+// Replaces the model's statics (and save) with the in-memory versions
+const useMemoryModel = (model) => {
+  stores.set(model.modelName, []);
+  const store = () => storeOf(model);
+  const query = (run, shape) => new MemoryQuery(model, run, shape);
+  const first = (filter, sort) => sortDocs(store().filter(doc => matches(doc, filter)), sort)[0] || null;
+
+  const findOneAndUpdate = (filter, update, options = {}) =>
+    query(({ sort }) => {
+      const doc = first(filter, options.sort || sort);
+      if (!doc) return null;
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      return options.new ? doc : before;
+    }, 'one');
+
+  const stub = (name, impl) => mock.method(model, name, impl);
+
+  stub('find', (filter = {}) => query(({ sort }) => sortDocs(store().filter(doc => matches(doc, filter)), sort), 'many'));
+  stub('findOne', (filter = {}) => query(({ sort }) => first(filter, sort), 'one'));
+  stub('findById', (id) => query(() => first(idFilter(id)), 'one'));
+  stub('findOneAndUpdate', findOneAndUpdate);
+  stub('findByIdAndUpdate', (id, update, options) => findOneAndUpdate(idFilter(id), update, options));
+  stub('exists', (filter) => query(() => {
+    const doc = first(filter);
+    return doc ? { _id: doc._id } : null;
+  }, 'value'));
+  stub('countDocuments', (filter) => query(() => store().filter(doc => matches(doc, filter)).length, 'value'));
+  stub('distinct', (path, filter) => query(() => {
+    const values = store().filter(doc => matches(doc, filter)).map(doc => getPath(doc, path));
+    return values.filter((value, i) => values.findIndex(other => equals(other, value)) === i);
+  }, 'value'));
+  stub('updateOne', (filter, update) => query(() => {
+    const doc = first(filter);
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }, 'value'));
+  stub('updateMany', (filter, update) => query(() => {
+    const docs = store().filter(doc => matches(doc, filter));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }, 'value'));
+  stub('deleteOne', (filter) => query(() => {
+    const index = store().findIndex(doc => matches(doc, filter));
+    if (index !== -1) store().splice(index, 1);
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }, 'value'));
+  stub('deleteMany', (filter) => query(() => {
+    const keep = store().filter(doc => !matches(doc, filter));
+    const deletedCount = store().length - keep.length;
+    stores.set(model.modelName, keep);
+    return { deletedCount };
+  }, 'value'));
+  stub('create', async (input) => {
+    if (Array.isArray(input)) return Promise.all(input.map(item => model.create(item)));
+    return saveDoc(model, new model(input));
+  });
+  stub('insertMany', async (items) => Promise.all(items.map(item => model.create(item))));
+  mock.method(model.prototype, 'save', async function save() {
+    return saveDoc(model, this);
+  });
+
+  return {
+    // The stored (plain) documents
+    all: () => store(),
+    insert: async (...docs) => Promise.all(docs.map(doc => model.create(doc)))
+  };
+};
+
+const resetMemoryModels = () => {
+  for (const name of stores.keys()) stores.set(name, []);
+};
+
+module.exports = { useMemoryModel, resetMemoryModels };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isPrivateAddress, checkDestination, publicLookup } = require('../services/webhooks/destination');
+
+test('loopback, private, link-local and reserved addresses are private', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:7f00:1'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('public addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('URLs naming private hosts are refused before anything is stored', async () => {
+  assert.match(await checkDestination('http://169.254.169.254/latest/meta-data'), /private or reserved/);
+  assert.match(await checkDestination('https://[::1]:8443/hook'), /private or reserved/);
+  assert.match(await checkDestination('https://localhost/hook'), /private or reserved/);
+  assert.equal(await checkDestination('https://8.8.8.8/hook'), null);
+});
+
+test('the delivery lookup refuses hosts resolving inward', async () => {
+  const error = await new Promise(resolve => publicLookup('localhost', { all: true }, resolve));
+  assert.equal(error.code, 'EPRIVATEADDRESS');
+});